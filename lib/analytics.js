@@ -0,0 +1,197 @@
+/* ---------------- Cohort analytics ----------------
+   Pure functions over stored attempts (see saveAttempt in server.js) for
+   the instructor dashboard and CSV export.
+   -------------------------------------------------- */
+
+// Query-string filters -> predicate. All filters are optional.
+//   taskId, from/to (YYYY-MM-DD, inclusive), minScore/maxScore,
+//   gated ("true"/"false"), flag (an integrity flag, or "any"),
+//   stage + stageStatus (a criterion id, e.g. context + bad), q (answer text search)
+// Stages are matched by criterion id: their labels differ between languages.
+export function attemptFilter(query = {}) {
+  const taskId = query.taskId ? String(query.taskId) : "";
+  const from = /^\d{4}-\d{2}-\d{2}$/.test(query.from || "") ? query.from : "";
+  const to = /^\d{4}-\d{2}-\d{2}$/.test(query.to || "") ? query.to : "";
+  const minScore = query.minScore !== undefined && query.minScore !== "" ? Number(query.minScore) : null;
+  const maxScore = query.maxScore !== undefined && query.maxScore !== "" ? Number(query.maxScore) : null;
+  const gated = query.gated === "true" ? true : query.gated === "false" ? false : null;
+  const flag = query.flag ? String(query.flag) : "";
+  const stage = query.stage ? String(query.stage) : "";
+  const stageStatus = query.stageStatus ? String(query.stageStatus) : "";
+  const q = query.q ? String(query.q).toLowerCase() : "";
+
+  return (a) => {
+    if (taskId && a.taskId !== taskId) return false;
+    const day = String(a.createdAt || "").slice(0, 10);
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    if (gated !== null && !!a.gated !== gated) return false;
+    if (flag && !(a.integrity && (flag === "any" || a.integrity.flag === flag))) return false;
+    if (minScore !== null && !(a.score >= minScore)) return false;
+    if (maxScore !== null && !(a.score <= maxScore)) return false;
+    if (stage) {
+      const s = (a.stages || []).find(x => x.id === stage);
+      if (!s || (stageStatus && s.status !== stageStatus)) return false;
+    }
+    if (q && !String(a.answerText || "").toLowerCase().includes(q)) return false;
+    return true;
+  };
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function average(xs) {
+  return xs.length ? round1(xs.reduce((n, x) => n + x, 0) / xs.length) : null;
+}
+
+function countBy(list, key) {
+  const counts = {};
+  for (const x of list) counts[key(x)] = (counts[key(x)] || 0) + 1;
+  return counts;
+}
+
+/*
+  What the cohort stats and a batch summary (lib/batch.js) both report about
+  a set of marker results:
+  items: [{ gated, score, stages: [{ id, label, status }] }]
+  flagOf(item) -> its integrity flag ("" if none); maxScoreOf(item) -> its full marks
+*/
+export function markingSummary(items, { flagOf, maxScoreOf }) {
+  const marked = items.filter(x => !x.gated);
+  const flagged = items.filter(x => flagOf(x));
+
+  // Score distribution (integer scores), out of each item's own maximum: tasks can use different scales
+  const dist = new Map();
+  for (const x of marked) {
+    const maxScore = maxScoreOf(x);
+    const key = `${x.score}/${maxScore}`;
+    if (!dist.has(key)) dist.set(key, { score: x.score, maxScore, count: 0 });
+    dist.get(key).count++;
+  }
+  const scoreDistribution = [...dist.values()].sort((a, b) => a.score - b.score || a.maxScore - b.maxScore);
+
+  // Per-stage status rates by criterion id, in first-seen order (the label is the first one seen, for display)
+  const stageCounts = new Map();
+  for (const x of marked) {
+    for (const s of x.stages || []) {
+      if (!stageCounts.has(s.id)) stageCounts.set(s.id, { id: s.id, label: s.label, ok: 0, mid: 0, bad: 0 });
+      const c = stageCounts.get(s.id);
+      if (s.status in c) c[s.status]++;
+    }
+  }
+  const stages = [...stageCounts.values()].map(c => {
+    const n = c.ok + c.mid + c.bad;
+    return {
+      id: c.id,
+      label: c.label,
+      missingPct: n ? round1((c.bad / n) * 100) : 0,
+      developingPct: n ? round1((c.mid / n) * 100) : 0,
+      securePct: n ? round1((c.ok / n) * 100) : 0
+    };
+  });
+
+  return {
+    marked,
+    flagged,
+    // Under the word gate; flagged items aren't marked either but are counted separately
+    gated: items.filter(x => x.gated && !flagOf(x)).length,
+    averageScore: average(marked.map(x => x.score)),
+    scoreDistribution,
+    stages
+  };
+}
+
+// maxScoreFor(taskId) -> the score that counts as full marks for that task
+export function cohortStats(list, maxScoreFor) {
+  const total = list.length;
+  const { flagged, gated, averageScore, scoreDistribution, stages } = markingSummary(list, {
+    flagOf: a => a.integrity?.flag || "",
+    maxScoreOf: a => a.maxScore ?? maxScoreFor(a.taskId)
+  });
+
+  // Attempts per day
+  const perDay = new Map();
+  for (const a of list) {
+    const day = String(a.createdAt || "").slice(0, 10);
+    perDay.set(day, (perDay.get(day) || 0) + 1);
+  }
+  const attemptsOverTime = [...perDay.entries()]
+    .sort(([x], [y]) => (x < y ? -1 : 1))
+    .map(([day, count]) => ({ day, count }));
+
+  // Attempts needed to reach full marks, per learner and task
+  const runs = new Map();
+  for (const a of list) {
+    const key = `${a.taskId}\u0000${a.learnerId}`;
+    if (!runs.has(key)) runs.set(key, []);
+    runs.get(key).push(a);
+  }
+  const toFull = [];
+  for (const run of runs.values()) {
+    const idx = run.findIndex(a => !a.gated && a.score >= maxScoreFor(a.taskId));
+    if (idx >= 0) toFull.push(idx + 1);
+  }
+
+  const learners = new Set(list.map(a => a.learnerId));
+
+  return {
+    totalAttempts: total,
+    learners: learners.size,
+    gatedRatePct: total ? round1((gated / total) * 100) : 0,
+    flaggedRatePct: total ? round1((flagged.length / total) * 100) : 0,
+    flags: countBy(flagged, a => a.integrity.flag),
+    averageScore,
+    attemptsOverTime,
+    scoreDistribution,
+    stages,
+    fullMarks: {
+      learnerRuns: runs.size,
+      reached: toFull.length,
+      averageAttempts: average(toFull)
+    }
+  };
+}
+
+/* ---------------- CSV ---------------- */
+function csvCell(v) {
+  let s = v === null || v === undefined ? "" : String(v);
+  // Stop spreadsheet apps treating learner text as a formula
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns.map(c => csvCell(c.header)).join(",")];
+  for (const r of rows) lines.push(columns.map(c => csvCell(c.value(r))).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// One status column per criterion id (as batchCsvColumns in lib/batch.js), whatever language the attempt was in
+export function attemptsCsv(list) {
+  const ids = [];
+  for (const a of list) {
+    for (const s of a.stages || []) if (!ids.includes(s.id)) ids.push(s.id);
+  }
+
+  const columns = [
+    { header: "attempt_id", value: a => a.id },
+    { header: "created_at", value: a => a.createdAt },
+    { header: "task_id", value: a => a.taskId },
+    { header: "task_version", value: a => a.taskVersion ?? "" },
+    { header: "learner_id", value: a => a.learnerId },
+    { header: "score", value: a => a.score },
+    { header: "word_count", value: a => a.wordCount },
+    { header: "gated", value: a => (a.gated ? "yes" : "no") },
+    { header: "integrity_flag", value: a => a.integrity?.flag ?? "" },
+    { header: "marker", value: a => a.marker },
+    ...ids.map(id => ({
+      header: id,
+      value: a => (a.stages || []).find(s => s.id === id)?.status ?? ""
+    })),
+    { header: "answer_text", value: a => a.answerText }
+  ];
+
+  return toCsv(list, columns);
+}
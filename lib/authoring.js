@@ -0,0 +1,138 @@
+import { applyRubric } from "./rubric.js";
+import { markPromptingResponse, wordCount } from "./marker.js";
+import { taskLocales, localiseTask } from "./tasks.js";
+
+/* ---------------- Task authoring ----------------
+   Tasks written or edited on the authoring page (admin-tasks.html) are
+   published into the "task_versions" collection rather than to TASKS_DIR,
+   so a change goes live without a redeploy:
+
+   { taskId, version, source: "file" | "author", note, publishedAt, task }
+
+   Every publish is a new version and none is ever overwritten. Attempts
+   and batches record the task.version they were marked with, so each can
+   be traced back to the exact rubric behind its score. The first publish
+   of a task that came from a file also records the file as version 1.
+   Once published, the latest version replaces the file on every boot.
+   ------------------------------------------------ */
+
+export function createTaskVersions(collection) {
+  function forTask(taskId) {
+    return collection.find(v => v.taskId === taskId).sort((a, b) => a.version - b.version);
+  }
+
+  return {
+    // task id -> { version, task } for loadTasks (lib/tasks.js)
+    latest() {
+      const out = new Map();
+      for (const v of collection.find()) {
+        if (!out.has(v.taskId) || v.version > out.get(v.taskId).version) out.set(v.taskId, v);
+      }
+      return out;
+    },
+
+    // Newest first, without the task JSON
+    list(taskId) {
+      return forTask(taskId).reverse().map(({ task, ...summary }) => summary);
+    },
+
+    get(taskId, version) {
+      return forTask(taskId).find(v => v.version === version) || null;
+    },
+
+    // A file recorded as version 1 has no publish date
+    record(taskId, raw, { version, source, note = "" }) {
+      return collection.insert({
+        taskId,
+        version,
+        source,
+        note,
+        publishedAt: source === "file" ? null : new Date().toISOString(),
+        task: raw
+      });
+    }
+  };
+}
+
+/* ---------------- Draft checks ----------------
+   What the authoring page shows while a task is edited: the model answer
+   marked in every language the task has (it should score full marks, or
+   learners who follow it are told they fell short), plus the sample
+   answers as markPromptingResponse would mark them.
+   ------------------------------------------------ */
+
+const MAX_SAMPLES = 20;
+
+function sampleResult(result) {
+  return {
+    gated: !!result.gated,
+    wordCount: result.wordCount,
+    message: result.message,
+    integrity: result.integrity || null,
+    score: result.score,
+    maxScore: result.maxScore ?? null,
+    strengths: result.strengths,
+    tags: result.tags,
+    grid: result.grid
+  };
+}
+
+// The model answer goes through the rubric only: the integrity check would (rightly) flag it as pasted
+function modelAnswerCheck(task) {
+  const marked = applyRubric(task.rubric, task.modelAnswer);
+  return {
+    locale: task.locale,
+    score: marked.score,
+    maxScore: marked.maxScore,
+    fullMarks: marked.score >= marked.maxScore,
+    wordCount: wordCount(task.modelAnswer),
+    tags: marked.tags
+  };
+}
+
+// where: " (fr)" when the task has more than one language
+function modelAnswerWarnings(task, m, where) {
+  if (!task.modelAnswer.trim()) return [`There is no model answer${where}.`];
+  const warnings = [];
+  if (!m.fullMarks) {
+    const short = m.tags.filter(t => t.status !== "ok").map(t => `${t.label} ${t.status === "mid" ? "developing" : "missing"}`);
+    warnings.push(`The model answer${where} scores ${m.score}/${m.maxScore}, not full marks: ${short.join(", ")}.`);
+  }
+  if (m.wordCount < task.minWordsGate) {
+    warnings.push(`The model answer${where} is ${m.wordCount} words, under the ${task.minWordsGate}-word gate.`);
+  }
+  return warnings;
+}
+
+function settingsWarnings(task) {
+  const warnings = [];
+  if (task.passScore > task.rubric.maxScore) {
+    warnings.push(`passScore ${task.passScore} is more than the rubric's maximum of ${task.rubric.maxScore}.`);
+  }
+  if (task.minWordsGate > task.maxWords) {
+    warnings.push(`minWordsGate ${task.minWordsGate} is more than maxWords ${task.maxWords}.`);
+  }
+  return warnings;
+}
+
+/*
+  task: compiled (lib/tasks.js compileTask); answers: sample answer texts;
+  locale: which of the task's languages to mark them in (default its own).
+  -> { locales, modelAnswers, warnings, samples }
+*/
+export function checkDraft(task, { answers = [], locale = "" }, i18n) {
+  const locales = taskLocales(task);
+  const localised = locales.map(code => localiseTask(task, code));
+  const models = localised.map(modelAnswerCheck);
+  const marking = localiseTask(task, locales.includes(locale) ? locale : task.locale);
+
+  return {
+    locales,
+    modelAnswers: models,
+    warnings: [
+      ...localised.flatMap((t, i) => modelAnswerWarnings(t, models[i], locales.length > 1 ? ` (${t.locale})` : "")),
+      ...settingsWarnings(task)
+    ],
+    samples: answers.slice(0, MAX_SAMPLES).map(text => sampleResult(markPromptingResponse(marking, String(text), i18n)))
+  };
+}
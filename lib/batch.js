@@ -0,0 +1,274 @@
+import { markingSummary } from "./analytics.js";
+
+/* ---------------- Batch marking ----------------
+   Instructors upload answers collected elsewhere (paper, a Google Form…)
+   and get the same deterministic feedback a learner would.
+
+   Uploads are CSV (a header row; the answer is in a column called
+   answer / answer_text / response, and an optional id / learner / name /
+   email column is echoed back as "ref") or a JSON array of strings or
+   objects with the same keys. Both are parsed as the body arrives and
+   marked a row at a time, so the 1 MB JSON body cap doesn't apply.
+   ------------------------------------------------ */
+
+const ANSWER_KEYS = ["answer", "answer_text", "answertext", "response", "prompt"];
+const REF_KEYS = ["id", "ref", "learner", "learner_id", "learnerid", "student", "name", "email"];
+
+export class BatchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/* ---------------- CSV ----------------
+   RFC 4180: quoted fields may hold commas, quotes ("") and newlines.
+   push(text) returns the records completed so far; end() the last one.
+   -------------------------------------- */
+export function createCsvParser() {
+  let field = "";
+  let record = [];
+  let quoted = false;   // inside a quoted field
+  let quoteSeen = false; // just read a quote inside a quoted field (escape or close)
+  let started = false;
+
+  function endField() {
+    record.push(field);
+    field = "";
+  }
+
+  return {
+    push(text) {
+      const done = [];
+      for (const ch of text) {
+        if (!started) {
+          started = true;
+          if (ch === "\uFEFF") continue;
+        }
+        if (quoted) {
+          if (quoteSeen) {
+            quoteSeen = false;
+            if (ch === '"') {
+              field += '"';
+              continue;
+            }
+            quoted = false; // the quote closed the field; fall through
+          } else if (ch === '"') {
+            quoteSeen = true;
+            continue;
+          } else {
+            field += ch;
+            continue;
+          }
+        }
+        if (ch === '"' && field === "") quoted = true;
+        else if (ch === ",") endField();
+        else if (ch === "\n") {
+          endField();
+          done.push(record);
+          record = [];
+        } else if (ch !== "\r") field += ch;
+      }
+      return done;
+    },
+
+    end() {
+      if (quoted && !quoteSeen) throw new BatchError("invalid_csv", "A quoted field is never closed");
+      if (field === "" && !record.length) return [];
+      endField();
+      return [record];
+    }
+  };
+}
+
+/* ---------------- JSON array ----------------
+   Splits a top-level array into its elements without parsing the whole
+   body: tracks nesting and strings, and JSON.parses each element alone.
+   ---------------------------------------------- */
+export function createJsonArrayParser() {
+  let state = "start"; // start | items | done
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let item = "";
+  let count = 0;
+
+  function finishItem(done) {
+    const text = item.trim();
+    item = "";
+    if (!text) throw new BatchError("invalid_json", "Empty element in the JSON array");
+    try {
+      done.push(JSON.parse(text));
+    } catch {
+      throw new BatchError("invalid_json", "An element of the JSON array isn't valid JSON");
+    }
+  }
+
+  return {
+    push(text) {
+      const done = [];
+      for (const ch of text) {
+        if (state === "start") {
+          if (ch === "\uFEFF" || /\s/.test(ch)) continue;
+          if (ch !== "[") throw new BatchError("invalid_json", "Expected a JSON array");
+          state = "items";
+          continue;
+        }
+        if (state === "done") {
+          if (!/\s/.test(ch)) throw new BatchError("invalid_json", "Unexpected text after the JSON array");
+          continue;
+        }
+
+        if (inString) {
+          item += ch;
+          if (escaped) escaped = false;
+          else if (ch === "\\") escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+        if (depth === 0 && (ch === "," || ch === "]")) {
+          if (ch === "]" && !count && !item.trim()) {
+            state = "done"; // []
+            continue;
+          }
+          finishItem(done);
+          count++;
+          if (ch === "]") state = "done";
+          continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === "{" || ch === "[") depth++;
+        else if (ch === "}" || ch === "]") depth--;
+        item += ch;
+      }
+      return done;
+    },
+
+    end() {
+      if (state !== "done") throw new BatchError("invalid_json", "The JSON array is never closed");
+      return [];
+    }
+  };
+}
+
+/* ---------------- Rows ---------------- */
+function pickKey(keys, wanted) {
+  const lower = keys.map(k => String(k).trim().toLowerCase());
+  for (const w of wanted) {
+    const at = lower.indexOf(w);
+    if (at >= 0) return at;
+  }
+  return -1;
+}
+
+/*
+  Reads an upload (any async iterable of Buffers, e.g. the request) and
+  yields { row, ref, answerText } one answer at a time. kind: "csv" | "json".
+  maxBytes / maxRows throw BatchError("too_large" / "too_many_rows").
+*/
+export async function* readBatch(body, kind, { maxBytes, maxRows }) {
+  const parser = kind === "csv" ? createCsvParser() : createJsonArrayParser();
+  const decoder = new TextDecoder("utf-8");
+  let bytes = 0;
+  let header = null;
+  let row = 0;
+
+  function* rows(records) {
+    for (const rec of records) {
+      let answerText, ref;
+      if (kind === "csv") {
+        if (!header) {
+          header = { answer: pickKey(rec, ANSWER_KEYS), ref: pickKey(rec, REF_KEYS) };
+          if (header.answer < 0) {
+            throw new BatchError("no_answer_column", `The CSV header needs an answer column (${ANSWER_KEYS.join(", ")})`);
+          }
+          continue;
+        }
+        if (rec.every(f => !f.trim())) continue; // blank line
+        answerText = rec[header.answer] ?? "";
+        ref = header.ref >= 0 ? rec[header.ref] ?? "" : "";
+      } else if (typeof rec === "string") {
+        answerText = rec;
+        ref = "";
+      } else if (rec && typeof rec === "object" && !Array.isArray(rec)) {
+        const keys = Object.keys(rec);
+        const a = pickKey(keys, ANSWER_KEYS);
+        if (a < 0) throw new BatchError("no_answer_column", `Element ${row + 1} has no answer (${ANSWER_KEYS.join(", ")})`);
+        const r = pickKey(keys, REF_KEYS);
+        answerText = rec[keys[a]];
+        ref = r >= 0 ? rec[keys[r]] : "";
+      } else {
+        throw new BatchError("invalid_json", `Element ${row + 1} must be a string or an object`);
+      }
+
+      row++;
+      if (row > maxRows) throw new BatchError("too_many_rows", `More than ${maxRows} answers`);
+      yield { row, ref: String(ref ?? ""), answerText: String(answerText ?? "") };
+    }
+  }
+
+  for await (const chunk of body) {
+    bytes += chunk.length;
+    if (bytes > maxBytes) throw new BatchError("too_large", `Upload is over ${Math.round(maxBytes / 1048576)} MB`);
+    yield* rows(parser.push(decoder.decode(chunk, { stream: true })));
+  }
+  yield* rows(parser.push(decoder.decode()));
+  yield* rows(parser.end());
+  if (kind === "csv" && !header) throw new BatchError("no_answer_column", "The CSV is empty");
+}
+
+// One marker result -> the stored/returned row
+export function batchRow({ row, ref, answerText }, result) {
+  return {
+    row,
+    ref,
+    wordCount: result.wordCount,
+    gated: !!result.gated,
+    integrityFlag: result.integrity?.flag || "",
+    score: result.gated ? null : result.score,
+    maxScore: result.gated ? null : result.maxScore,
+    stages: result.tags || null,
+    strengths: result.strengths || [],
+    message: result.message || "",
+    answerText
+  };
+}
+
+/* ---------------- Summary ---------------- */
+export function batchSummary(rows) {
+  const { marked, flagged, gated, averageScore, scoreDistribution, stages } = markingSummary(rows, {
+    flagOf: r => r.integrityFlag,
+    maxScoreOf: r => r.maxScore
+  });
+
+  return {
+    rows: rows.length,
+    marked: marked.length,
+    gated,
+    flagged: flagged.length,
+    averageScore,
+    fullMarks: marked.filter(r => r.score >= r.maxScore).length,
+    scoreDistribution,
+    stages
+  };
+}
+
+// Columns for toCsv (lib/analytics.js); one status column per stage, in rubric order
+export function batchCsvColumns(criteria) {
+  return [
+    { header: "row", value: r => r.row },
+    { header: "ref", value: r => r.ref },
+    { header: "score", value: r => r.score },
+    { header: "max_score", value: r => r.maxScore },
+    { header: "word_count", value: r => r.wordCount },
+    { header: "gated", value: r => (r.gated ? "yes" : "no") },
+    { header: "integrity_flag", value: r => r.integrityFlag },
+    ...criteria.map(c => ({
+      header: c.id,
+      value: r => (r.stages || []).find(s => s.id === c.id)?.status ?? ""
+    })),
+    { header: "strengths", value: r => r.strengths.join(" | ") },
+    { header: "message", value: r => r.message },
+    { header: "answer_text", value: r => r.answerText }
+  ];
+}
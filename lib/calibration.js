@@ -0,0 +1,381 @@
+import crypto from "crypto";
+
+/* ---------------- Marker calibration ----------------
+   Runs a human-labelled corpus through the marker and measures how often
+   they agree (see scripts/calibrate.js for the command line).
+
+   Corpus: JSONL, one answer per line.
+   {
+     "id": "rome-017",                 // unique within the corpus
+     "taskId": "rome-prompt",
+     "locale": "es",                   // optional; the task's own locale by default
+     "answerText": "Role: …",
+     "human": {
+       "stages": { "role": "secure", "task": "developing", "context": "missing", "format": "secure" },
+       "score": 6
+     },
+     "note": "…"                       // optional, shown next to disagreements
+   }
+   An answer the labeller would not mark (too short, pasted model answer…)
+   has "human": { "gated": true } instead.
+
+   Stages use the LLM marker's words: secure | developing | missing (the
+   deterministic marker's ok | mid | bad tags map onto them). Scores are
+   compared only where both sides gave one; gating is counted separately.
+   ---------------------------------------------------- */
+
+export const STATES = ["secure", "developing", "missing"];
+const TAG_STATES = { ok: "secure", mid: "developing", bad: "missing" };
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+export function parseCorpus(text, where) {
+  const entries = [];
+  const ids = new Set();
+
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const at = `${where} line ${i + 1}`;
+    let e;
+    try {
+      e = JSON.parse(line);
+    } catch {
+      throw new Error(`${at}: not valid JSON`);
+    }
+
+    const id = String(e?.id || "").trim();
+    if (!id) throw new Error(`${at}: missing "id"`);
+    if (ids.has(id)) throw new Error(`${at}: duplicate id "${id}"`);
+    ids.add(id);
+    if (!e.taskId || typeof e.answerText !== "string") throw new Error(`${at}: needs "taskId" and "answerText"`);
+
+    const human = e.human;
+    if (!isPlainObject(human)) throw new Error(`${at}: missing "human" labels`);
+    if (!human.gated) {
+      if (!Number.isFinite(human.score)) throw new Error(`${at}: human.score must be a number (or set human.gated)`);
+      if (!isPlainObject(human.stages)) throw new Error(`${at}: missing human.stages`);
+      for (const [stage, state] of Object.entries(human.stages)) {
+        if (!STATES.includes(state)) throw new Error(`${at}: human.stages.${stage} must be one of ${STATES.join(", ")}`);
+      }
+    }
+
+    entries.push({
+      id,
+      taskId: String(e.taskId),
+      locale: e.locale ? String(e.locale) : "",
+      answerText: e.answerText,
+      human: human.gated ? { gated: true } : { gated: false, score: human.score, stages: { ...human.stages } },
+      note: e.note ? String(e.note) : ""
+    });
+  });
+
+  return entries;
+}
+
+/* ---------------- Corpus from stored attempts ----------------
+   Learner answers from the attempts store, ready for labelling: no learner
+   ids, attempt ids or timestamps, contact details masked in the text, and
+   repeated answers dropped. Entries are numbered in a fixed order that
+   doesn't follow submission time. The "human" labels are left blank, so
+   parseCorpus refuses the file until someone has labelled every line.
+
+   criteriaFor(attempt) -> the criterion ids of the attempt's task (null if unknown)
+   ------------------------------------------------------------ */
+const CONTACT_PATTERNS = [
+  [/[^\s@]+@[^\s@]+\.[^\s@]+/g, "[email]"],
+  [/\bhttps?:\/\/\S+/gi, "[link]"],
+  [/\+?\d[\d\s().-]{7,}\d/g, "[phone]"]
+];
+
+export function anonymiseAnswer(text) {
+  return CONTACT_PATTERNS.reduce((t, [re, mask]) => t.replace(re, mask), String(text || "")).trim();
+}
+
+export function corpusFromAttempts(attempts, criteriaFor, { taskId = "", limit = Infinity } = {}) {
+  const order = (a) => crypto.createHash("sha256").update(String(a.id)).digest("hex");
+  const seen = new Set();
+  const entries = [];
+
+  const candidates = attempts
+    .filter(a => (!taskId || a.taskId === taskId) && String(a.answerText || "").trim())
+    .sort((a, b) => order(a).localeCompare(order(b)));
+
+  for (const a of candidates) {
+    if (entries.length >= limit) break;
+    const criteria = criteriaFor(a);
+    if (!criteria) continue;
+    const answerText = anonymiseAnswer(a.answerText);
+    const key = `${a.taskId}\n${a.locale}\n${answerText.toLowerCase().replace(/\s+/g, " ")}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    entries.push({
+      id: `${a.taskId}-${String(entries.length + 1).padStart(3, "0")}`,
+      taskId: a.taskId,
+      ...(a.locale ? { locale: a.locale } : {}),
+      answerText,
+      human: { stages: Object.fromEntries(criteria.map(id => [id, ""])), score: null }
+    });
+  }
+  return entries;
+}
+
+// Changes whenever anything that decides a mark changes (keywords, patterns, weights, bands…);
+// takes a compiled rubric or a list of them
+export function rubricFingerprint(rubrics) {
+  const json = JSON.stringify(rubrics, (k, v) => (v instanceof RegExp ? `/${v.source}/${v.flags}` : v));
+  return crypto.createHash("sha256").update(json).digest("hex").slice(0, 12);
+}
+
+/*
+  taskFor(entry) -> the task as the learner would see it (null if unknown);
+  mark(task, answerText) -> a deterministic marker result.
+*/
+export function markCorpus(corpus, taskFor, mark) {
+  return corpus.map(e => {
+    const task = taskFor(e);
+    if (!task) throw new Error(`Corpus entry "${e.id}": unknown task "${e.taskId}"${e.locale ? ` in locale "${e.locale}"` : ""}`);
+
+    const result = mark(task, e.answerText);
+    const stages = result.gated
+      ? null
+      : Object.fromEntries(result.tags.map(t => [t.id, TAG_STATES[t.status]]));
+
+    return {
+      ...e,
+      locale: task.locale,
+      marker: {
+        gated: !!result.gated,
+        flag: result.integrity?.flag || "",
+        score: result.gated ? null : result.score,
+        stages
+      }
+    };
+  });
+}
+
+/* ---------------- Metrics ---------------- */
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function ratio(n, d) {
+  return d ? round3(n / d) : null;
+}
+
+function pct(n, d) {
+  return d ? Math.round((n / d) * 1000) / 10 : null;
+}
+
+function emptyMatrix() {
+  return Object.fromEntries(STATES.map(h => [h, Object.fromEntries(STATES.map(m => [m, 0]))]));
+}
+
+// matrix[human][marker] -> per-state precision/recall, plus present-vs-missing
+function matrixStats(matrix) {
+  const total = STATES.reduce((n, h) => n + STATES.reduce((m, s) => m + matrix[h][s], 0), 0);
+  const agreed = STATES.reduce((n, s) => n + matrix[s][s], 0);
+
+  const byState = {};
+  for (const s of STATES) {
+    const markerSaid = STATES.reduce((n, h) => n + matrix[h][s], 0);
+    const humanSaid = STATES.reduce((n, m) => n + matrix[s][m], 0);
+    byState[s] = {
+      precision: ratio(matrix[s][s], markerSaid),
+      recall: ratio(matrix[s][s], humanSaid),
+      support: humanSaid
+    };
+  }
+
+  // Did the marker find the stage at all (secure or developing)?
+  const present = ["secure", "developing"];
+  const tp = present.reduce((n, h) => n + present.reduce((m, s) => m + matrix[h][s], 0), 0);
+  const markerPresent = STATES.reduce((n, h) => n + present.reduce((m, s) => m + matrix[h][s], 0), 0);
+  const humanPresent = present.reduce((n, h) => n + STATES.reduce((m, s) => m + matrix[h][s], 0), 0);
+
+  return {
+    n: total,
+    accuracy: ratio(agreed, total),
+    present: { precision: ratio(tp, markerPresent), recall: ratio(tp, humanPresent) },
+    byState
+  };
+}
+
+// Quadratic-weighted Cohen's kappa over integer scores
+export function weightedKappa(pairs) {
+  if (!pairs.length) return null;
+  const values = pairs.flat().map(Math.round);
+  const lo = Math.min(...values);
+  const k = Math.max(...values) - lo + 1;
+  if (k < 2) return 1;
+
+  const observed = Array.from({ length: k }, () => new Array(k).fill(0));
+  const rows = new Array(k).fill(0);
+  const cols = new Array(k).fill(0);
+  for (const [h, m] of pairs) {
+    const i = Math.round(h) - lo;
+    const j = Math.round(m) - lo;
+    observed[i][j]++;
+    rows[i]++;
+    cols[j]++;
+  }
+
+  let disagreeObserved = 0;
+  let disagreeExpected = 0;
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j < k; j++) {
+      const w = ((i - j) / (k - 1)) ** 2;
+      disagreeObserved += w * observed[i][j];
+      disagreeExpected += w * (rows[i] * cols[j]) / pairs.length;
+    }
+  }
+  return disagreeExpected ? round3(1 - disagreeObserved / disagreeExpected) : null;
+}
+
+function stageDistance(a, b) {
+  return Math.abs(STATES.indexOf(a) - STATES.indexOf(b));
+}
+
+// How far apart the two marks are; gating the other side didn't is the worst kind
+function severity(item) {
+  const { human, marker } = item;
+  if (human.gated !== marker.gated) return 100;
+  if (human.gated) return 0;
+  let d = Math.abs(human.score - marker.score);
+  for (const [stage, state] of Object.entries(human.stages)) {
+    if (marker.stages[stage]) d += stageDistance(state, marker.stages[stage]);
+  }
+  return d;
+}
+
+function disagreement(item) {
+  const { human, marker } = item;
+  const stages = human.gated || marker.gated
+    ? []
+    : Object.entries(human.stages)
+      .filter(([stage, state]) => marker.stages[stage] && marker.stages[stage] !== state)
+      .map(([stage, state]) => ({ stage, human: state, marker: marker.stages[stage] }));
+  return {
+    id: item.id,
+    taskId: item.taskId,
+    locale: item.locale,
+    severity: severity(item),
+    human: human.gated ? "gated" : human.score,
+    marker: marker.gated ? `gated${marker.flag ? ` (${marker.flag})` : ""}` : marker.score,
+    stages,
+    note: item.note,
+    answerText: item.answerText
+  };
+}
+
+// criteria: [{ id, label }] in report order (stages no item labels are skipped)
+export function calibrationReport(items, criteria, { top = 10 } = {}) {
+  const perCriterion = new Map(criteria.map(c => [c.id, emptyMatrix()]));
+  const overall = emptyMatrix();
+  const gating = { bothMarked: 0, bothGated: 0, humanOnly: 0, markerOnly: 0 };
+  const scorePairs = [];
+
+  for (const item of items) {
+    const { human, marker } = item;
+    if (human.gated && marker.gated) gating.bothGated++;
+    else if (human.gated) gating.humanOnly++;
+    else if (marker.gated) gating.markerOnly++;
+    else gating.bothMarked++;
+    if (human.gated || marker.gated) continue;
+
+    scorePairs.push([human.score, marker.score]);
+    for (const [stage, state] of Object.entries(human.stages)) {
+      const said = marker.stages[stage];
+      if (!said) continue;
+      if (!perCriterion.has(stage)) perCriterion.set(stage, emptyMatrix());
+      perCriterion.get(stage)[state][said]++;
+      overall[state][said]++;
+    }
+  }
+
+  const labels = new Map(criteria.map(c => [c.id, c.label]));
+  const diffs = scorePairs.map(([h, m]) => m - h);
+
+  return {
+    items: items.length,
+    gating: { ...gating, agreementPct: pct(gating.bothMarked + gating.bothGated, items.length) },
+    criteria: [...perCriterion.entries()]
+      .map(([id, matrix]) => ({ id, label: labels.get(id) || id, confusion: matrix, ...matrixStats(matrix) }))
+      .filter(c => c.n > 0),
+    overall: { confusion: overall, ...matrixStats(overall) },
+    score: {
+      n: scorePairs.length,
+      exactPct: pct(diffs.filter(d => d === 0).length, diffs.length),
+      within2Pct: pct(diffs.filter(d => Math.abs(d) <= 2).length, diffs.length),
+      // Positive: the marker is more generous than the labellers
+      meanDifference: diffs.length ? round3(diffs.reduce((n, d) => n + d, 0) / diffs.length) : null,
+      weightedKappa: weightedKappa(scorePairs)
+    },
+    worst: items
+      .map(disagreement)
+      .filter(d => d.severity > 0)
+      .sort((a, b) => b.severity - a.severity || a.id.localeCompare(b.id))
+      .slice(0, top)
+  };
+}
+
+/* ---------------- Comparing two saved runs ---------------- */
+function metricRows(report) {
+  const rows = [
+    ["Gating agreement %", report.gating.agreementPct],
+    ["Score exact %", report.score.exactPct],
+    ["Score within ±2 %", report.score.within2Pct],
+    ["Score weighted kappa", report.score.weightedKappa],
+    ["Score mean difference", report.score.meanDifference],
+    ["Stage accuracy (all)", report.overall.accuracy]
+  ];
+  for (const c of report.criteria) {
+    rows.push([`${c.label} accuracy`, c.accuracy]);
+    rows.push([`${c.label} found: precision`, c.present.precision]);
+    rows.push([`${c.label} found: recall`, c.present.recall]);
+  }
+  return rows;
+}
+
+function markerSummary(m) {
+  if (m.gated) return `gated${m.flag ? ` (${m.flag})` : ""}`;
+  return `${m.score} [${Object.values(m.stages).map(s => s[0].toUpperCase()).join("")}]`;
+}
+
+// before/after: saved runs (see scripts/calibrate.js). Items are matched by corpus id.
+export function compareRuns(before, after) {
+  const a = new Map(metricRows(before.report));
+  const b = new Map(metricRows(after.report));
+  const metrics = [...new Set([...a.keys(), ...b.keys()])].map(name => {
+    const x = a.get(name) ?? null;
+    const y = b.get(name) ?? null;
+    return { name, before: x, after: y, change: x !== null && y !== null ? round3(y - x) : null };
+  });
+
+  const beforeItems = new Map(before.items.map(i => [i.id, i]));
+  const changed = [];
+  for (const item of after.items) {
+    const old = beforeItems.get(item.id);
+    if (!old) continue;
+    if (markerSummary(old.marker) === markerSummary(item.marker)) continue;
+    const was = severity(old);
+    const now = severity(item);
+    changed.push({
+      id: item.id,
+      verdict: now < was ? "better" : now > was ? "worse" : "different",
+      human: item.human.gated ? "gated" : `${item.human.score} [${Object.values(item.human.stages).map(s => s[0].toUpperCase()).join("")}]`,
+      before: markerSummary(old.marker),
+      after: markerSummary(item.marker)
+    });
+  }
+
+  const afterIds = new Set(after.items.map(i => i.id));
+  return {
+    metrics,
+    changed,
+    onlyBefore: before.items.filter(i => !afterIds.has(i.id)).map(i => i.id),
+    onlyAfter: after.items.filter(i => !beforeItems.has(i.id)).map(i => i.id)
+  };
+}
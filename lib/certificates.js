@@ -0,0 +1,221 @@
+import fs from "fs";
+import crypto from "crypto";
+import { format } from "./i18n.js";
+
+/* ---------------- Completion certificates ----------------
+   A learner whose marked attempt reaches full marks can ask for a
+   certificate. The record (collection "certificates") holds only what the
+   certificate states: task title, score, date and the name the learner
+   entered. The answer is never copied into it. Its id is the verification
+   id printed on the certificate, and anyone can check it at /verify/<id>.
+
+   Each record is signed (HMAC-SHA256 over the fields it states) with a
+   server-side secret, so an edited data file doesn't verify. The secret
+   is CERTIFICATE_SECRET, else generated once and kept in DATA_DIR;
+   changing it invalidates every certificate issued before.
+
+   messages: the "certificate" block of a locale's catalogue.
+   ----------------------------------------------------------- */
+
+const ID_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const ID_RE = /^FTC(-[A-HJKMNP-Z2-9]{4}){4}$/;
+const SIGNED_FIELDS = ["id", "taskId", "taskTitle", "locale", "score", "maxScore", "learnerName", "issuedAt"];
+
+export function loadCertificateSecret({ secret = "", keyFile }) {
+  if (secret) return secret;
+  if (fs.existsSync(keyFile)) return fs.readFileSync(keyFile, "utf8").trim();
+  const generated = crypto.randomBytes(32).toString("hex");
+  fs.writeFileSync(keyFile, `${generated}\n`, { mode: 0o600 });
+  return generated;
+}
+
+// The name as printed: single spaces, no control characters, 2–80 characters ("" if unusable)
+export function normaliseLearnerName(name) {
+  const s = String(name ?? "").replace(/[\p{Cc}\p{Cf}]/gu, " ").replace(/\s+/g, " ").trim();
+  return s.length >= 2 && s.length <= 80 ? s : "";
+}
+
+// attempt: { gated, score }; only a marked attempt with every mark counts
+export function isFullMarks(attempt, maxScore) {
+  return !attempt.gated && Number.isFinite(attempt.score) && attempt.score >= maxScore;
+}
+
+// What the certificate and the verification page show: no learner id, attempt or answer
+export function publicCertificate(doc) {
+  return {
+    id: doc.id,
+    taskId: doc.taskId,
+    taskTitle: doc.taskTitle,
+    locale: doc.locale,
+    score: doc.score,
+    maxScore: doc.maxScore,
+    learnerName: doc.learnerName,
+    issuedAt: doc.issuedAt
+  };
+}
+
+export function createCertificateIssuer(collection, { secret }) {
+  function sign(doc) {
+    const payload = JSON.stringify(SIGNED_FIELDS.map(k => doc[k]));
+    return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+  }
+
+  function newCertificateId() {
+    for (;;) {
+      const blocks = Array.from({ length: 4 }, () =>
+        Array.from({ length: 4 }, () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]).join(""));
+      const id = `FTC-${blocks.join("-")}`;
+      if (!collection.get(id)) return id;
+    }
+  }
+
+  // The learner's certificate for a task, if one was issued
+  function forLearner(taskId, learnerId) {
+    return collection.find(c => c.taskId === taskId && c.learnerId === learnerId)[0] || null;
+  }
+
+  return {
+    forLearner,
+
+    // task: localised, so the title is in the learner's language. One per learner and task:
+    // completing the task again returns the certificate already issued.
+    issue({ task, attempt, learnerName }) {
+      const existing = forLearner(task.id, attempt.learnerId);
+      if (existing) return existing;
+
+      const doc = {
+        id: newCertificateId(),
+        taskId: task.id,
+        taskTitle: task.title,
+        locale: task.locale,
+        score: attempt.score,
+        maxScore: task.rubric.maxScore,
+        learnerName,
+        issuedAt: new Date().toISOString(),
+        learnerId: attempt.learnerId,
+        attemptId: attempt.id
+      };
+      return collection.insert({ ...doc, signature: sign(doc) });
+    },
+
+    // { certificate, valid } for a verification id, or null when there's no such certificate
+    verify(id) {
+      const doc = ID_RE.test(String(id)) ? collection.get(id) : null;
+      if (!doc) return null;
+      const expected = Buffer.from(sign(doc));
+      const given = Buffer.from(String(doc.signature || ""));
+      const valid = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+      return { certificate: publicCertificate(doc), valid };
+    }
+  };
+}
+
+/* ---------------- Pages ---------------- */
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function longDate(iso, locale) {
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: "long" }).format(new Date(iso));
+  } catch {
+    return iso.slice(0, 10);
+  }
+}
+
+// Print-ready and self-contained (its styles are inline) so the downloaded file looks the same
+export function certificatePage(cert, messages, { verifyUrl, standalone = false }) {
+  const m = messages;
+  // A downloaded copy is opened outside the site, so it gets no script (and no
+  // button that would need one); the browser's own print command still works.
+  const actions = standalone ? "" : `
+  <div class="actions"><button id="printBtn" type="button">${escapeHtml(m.print)}</button></div>`;
+  const script = standalone ? "" : `
+  <script src="/certificate.js"></script>`;
+  return `<!doctype html>
+<html lang="${escapeHtml(cert.locale)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${escapeHtml(m.title)} – ${escapeHtml(cert.learnerName)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 0; }
+    body { margin: 0; font-family: Georgia, "Times New Roman", serif; color: #1f2937; background: #f3f4f6; }
+    .sheet { box-sizing: border-box; width: 297mm; min-height: 210mm; margin: 24px auto; padding: 22mm 26mm;
+             background: #fff; border: 10px solid #794ba7; outline: 2px solid #794ba7; outline-offset: -22px;
+             display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; }
+    .brand { font-family: system-ui, sans-serif; font-weight: 800; letter-spacing: 0.08em; color: #794ba7; }
+    h1 { font-size: 34pt; font-weight: normal; margin: 10mm 0 8mm; }
+    .name { font-size: 28pt; font-style: italic; margin: 4mm 0; border-bottom: 1px solid #9ca3af; padding: 0 12mm 2mm; }
+    .task { font-size: 18pt; margin: 4mm 0; }
+    .meta { font-size: 12pt; margin-top: 10mm; }
+    .verify { font-family: system-ui, sans-serif; font-size: 9pt; color: #6b7280; margin-top: 12mm; }
+    .actions { text-align: center; margin: 16px; font-family: system-ui, sans-serif; }
+    @media print {
+      body { background: #fff; }
+      .sheet { margin: 0; }
+      .actions { display: none; }
+    }
+  </style>
+</head>
+<body>${actions}
+  <main class="sheet">
+    <div class="brand">FEthink</div>
+    <h1>${escapeHtml(m.title)}</h1>
+    <p>${escapeHtml(m.certifies)}</p>
+    <p class="name">${escapeHtml(cert.learnerName)}</p>
+    <p>${escapeHtml(m.completed)}</p>
+    <p class="task">${escapeHtml(cert.taskTitle)}</p>
+    <p class="meta">${escapeHtml(format(m.score, { score: cert.score, max: cert.maxScore }))} · ${escapeHtml(format(m.issued, { date: longDate(cert.issuedAt, cert.locale) }))}</p>
+    <p class="verify">${escapeHtml(format(m.verifyId, { id: cert.id }))}<br />${escapeHtml(format(m.verifyAt, { url: verifyUrl }))}</p>
+  </main>${script}
+</body>
+</html>`;
+}
+
+// result: from verify(), or null for an unknown id; locale: the page's language
+export function verifyPage(id, result, messages, { locale, certificateUrl }) {
+  const m = messages;
+  let body;
+  if (!result) {
+    body = `<p class="verifyStatus bad">${escapeHtml(m.notFound)}</p>`;
+  } else if (!result.valid) {
+    body = `<p class="verifyStatus bad">${escapeHtml(m.invalid)}</p>`;
+  } else {
+    const c = result.certificate;
+    body = `<p class="verifyStatus ok">${escapeHtml(m.valid)}</p>
+      <dl class="verifyDetails">
+        <dt>${escapeHtml(m.learner)}</dt><dd>${escapeHtml(c.learnerName)}</dd>
+        <dt>${escapeHtml(m.task)}</dt><dd>${escapeHtml(c.taskTitle)}</dd>
+        <dt>${escapeHtml(m.scoreLabel)}</dt><dd>${escapeHtml(`${c.score}/${c.maxScore}`)}</dd>
+        <dt>${escapeHtml(m.issuedLabel)}</dt><dd>${escapeHtml(longDate(c.issuedAt, locale))}</dd>
+      </dl>
+      <p><a class="linkBtn" href="${escapeHtml(certificateUrl)}">${escapeHtml(m.view)}</a></p>`;
+  }
+
+  return `<!doctype html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHtml(m.verifyTitle)} – FEthink</title>
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+  <main class="layout">
+    <section class="card">
+      <h1>${escapeHtml(m.verifyTitle)}</h1>
+      <p class="subtle">${escapeHtml(format(m.verifyId, { id }))}</p>
+      ${body}
+      <p class="subtle">${escapeHtml(m.privacy)}</p>
+    </section>
+  </main>
+</body>
+</html>`;
+}
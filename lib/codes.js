@@ -0,0 +1,146 @@
+import crypto from "crypto";
+import { newId } from "./store.js";
+
+/* ---------------- Per-learner access codes ----------------
+   Unique codes issued per buyer (Payhip webhook) or by an admin. Each code
+   belongs to one task and one learner identity, and may carry an expiry
+   and a usage limit. Stored in the "access_codes" collection:
+
+   { id, code, taskId, learnerId, email, name, source, saleId,
+     maxUses (0 = unlimited), uses, expiresAt (ISO | null),
+     revokedAt (ISO | null), createdAt }
+   ----------------------------------------------------------- */
+
+// No 0/O/1/I/L so codes survive being read out or retyped
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function randomBlock(n) {
+  let s = "";
+  for (let i = 0; i < n; i++) s += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return s;
+}
+
+export function normaliseCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+// Why a stored code can't be used right now, or null if it can
+export function codeProblem(doc, now = Date.now()) {
+  if (!doc) return "invalid_code";
+  if (doc.revokedAt) return "code_revoked";
+  if (doc.expiresAt && now >= Date.parse(doc.expiresAt)) return "code_expired";
+  if (doc.maxUses > 0 && doc.uses >= doc.maxUses) return "code_used_up";
+  return null;
+}
+
+export function createCodeRegistry(collection, { prefix = "FT", expiryDays = 0, maxUses = 0 } = {}) {
+  function findByCode(code) {
+    const wanted = normaliseCode(code);
+    if (!wanted) return null;
+    return collection.find(c => c.code === wanted)[0] || null;
+  }
+
+  function issue({ taskId, email = "", name = "", source = "admin", saleId = "", learnerId, days, uses }) {
+    let code;
+    do {
+      code = `${prefix}-${randomBlock(4)}-${randomBlock(4)}`;
+    } while (findByCode(code));
+
+    const d = days ?? expiryDays;
+    const limit = uses ?? maxUses;
+    return collection.insert({
+      code,
+      taskId,
+      learnerId: learnerId || newId(),
+      email: String(email).trim().toLowerCase(),
+      name: String(name).trim(),
+      source,
+      saleId: String(saleId),
+      maxUses: limit > 0 ? limit : 0,
+      uses: 0,
+      expiresAt: d > 0 ? new Date(Date.now() + d * 86_400_000).toISOString() : null,
+      revokedAt: null,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Validates and counts one use; returns { doc } or { error }
+  function redeem(code, taskId) {
+    const doc = findByCode(code);
+    if (!doc || doc.taskId !== taskId) return { error: "invalid_code" };
+    const problem = codeProblem(doc);
+    if (problem) return { error: problem };
+    return { doc: collection.update(doc.id, { uses: doc.uses + 1 }) };
+  }
+
+  function revoke(id) {
+    const doc = collection.get(id);
+    if (!doc) return null;
+    if (doc.revokedAt) return doc;
+    return collection.update(id, { revokedAt: new Date().toISOString() });
+  }
+
+  function list({ q = "", taskId = "" } = {}) {
+    const needle = String(q).trim().toLowerCase();
+    return collection
+      .find(c =>
+        (!taskId || c.taskId === taskId) &&
+        (!needle || c.email.includes(needle) || c.code.toLowerCase().includes(needle) || c.saleId.toLowerCase() === needle))
+      .reverse();
+  }
+
+  return {
+    findByCode,
+    issue,
+    redeem,
+    revoke,
+    list,
+    get: (id) => collection.get(id),
+    bySale: (saleId) => collection.find(c => c.saleId && c.saleId === String(saleId))
+  };
+}
+
+/* ---------------- Payhip webhook ----------------
+   Payhip signs webhooks by putting sha256(<your Payhip API key>) in the
+   payload's "signature" field. "paid" issues one code per task the sale
+   covers (idempotent on retries); "refunded" revokes that sale's codes.
+   ------------------------------------------------ */
+
+export function verifyPayhipSignature(payload, apiKey) {
+  if (!apiKey || typeof payload?.signature !== "string") return false;
+  const expected = crypto.createHash("sha256").update(apiKey).digest("hex");
+  const given = payload.signature.trim().toLowerCase();
+  if (given.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+// tasksForItem(item) -> task ids that item unlocks
+export function handlePayhipEvent(payload, registry, tasksForItem) {
+  const saleId = String(payload.id || "");
+  if (!saleId) return { handled: false, reason: "missing_sale_id" };
+
+  if (payload.type === "refunded") {
+    const revoked = registry.bySale(saleId).map(c => registry.revoke(c.id));
+    return { handled: true, revoked: revoked.length };
+  }
+
+  if (payload.type !== "paid") return { handled: false, reason: `ignored_type:${payload.type}` };
+
+  const taskIds = new Set();
+  for (const item of Array.isArray(payload.items) ? payload.items : []) {
+    for (const id of tasksForItem(item)) taskIds.add(id);
+  }
+
+  const existing = registry.bySale(saleId);
+  // One learner identity per sale, shared by every task it unlocks
+  const learnerId = existing[0]?.learnerId || newId();
+  const name = [payload.customer_first_name, payload.customer_last_name].filter(Boolean).join(" ");
+
+  const issued = [];
+  for (const taskId of taskIds) {
+    if (existing.some(c => c.taskId === taskId)) continue;
+    issued.push(registry.issue({ taskId, email: payload.email || "", name, source: "payhip", saleId, learnerId }));
+  }
+
+  return { handled: true, issued: issued.map(c => ({ taskId: c.taskId, code: c.code })) };
+}
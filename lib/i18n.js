@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+
+export { format, createI18n } from "./messages.js";
+
+/* ---------------- Message catalogues ----------------
+   One JSON file per locale in LOCALES_DIR (default ./locales), named by
+   language tag: en.json, es.json, fr-CA.json…
+
+   {
+     "name": "Español",          // the language's own name (LLM instructions, pickers)
+     "server": { … },            // marker messages (gate, integrity, revision)
+     "rubric": { … },            // defaults for every rubric in that language
+     "preview": { … },           // "Run my prompt" stub output and notes (lib/preview.js)
+     "certificate": { … },       // certificate and /verify page text (lib/certificates.js)
+     "ui": { "key": "text" }     // the learner page's strings, sent with /config
+   }
+
+   Every catalogue is completed from the default locale's, so a missing
+   key shows the default-language text rather than nothing. Placeholders
+   are {name}.
+   ---------------------------------------------------- */
+
+const TAG_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Nested objects merge key by key; anything else in `over` replaces `base`
+function completeFrom(base, over) {
+  if (!isPlainObject(base) || !isPlainObject(over)) return over === undefined ? base : over;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = completeFrom(base[k], v);
+  return out;
+}
+
+export function loadLocales(dir, defaultLocale) {
+  const raw = new Map();
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const tag = path.basename(f, ".json");
+    if (!TAG_RE.test(tag)) throw new Error(`Invalid locale file name "${f}" in ${dir}`);
+    raw.set(tag, JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+  }
+
+  const base = raw.get(defaultLocale);
+  if (!base) throw new Error(`Default locale "${defaultLocale}" has no catalogue in ${dir}`);
+
+  const catalogues = new Map();
+  for (const [tag, cat] of raw) catalogues.set(tag, tag === defaultLocale ? base : completeFrom(base, cat));
+  return catalogues;
+}
+
+// "fr-CH, fr;q=0.9, en;q=0.8" -> ["fr-CH", "fr", "en"], best first
+function acceptedLanguages(header) {
+  return String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(l => l.tag && l.tag !== "*" && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(l => l.tag);
+}
+
+/*
+  Picks one of `available` for the request: ?lang= first, then
+  Accept-Language. "es-MX" matches "es" (and "es" matches "es-MX" when
+  that is all there is). Falls back to `fallback`.
+*/
+export function negotiateLocale(req, available, fallback) {
+  const wanted = [
+    ...(typeof req.query?.lang === "string" ? [req.query.lang] : []),
+    ...acceptedLanguages(req.get?.("Accept-Language"))
+  ];
+  const lower = available.map(a => a.toLowerCase());
+
+  for (const tag of wanted.map(t => t.toLowerCase())) {
+    const exact = lower.indexOf(tag);
+    if (exact >= 0) return available[exact];
+    const primary = tag.split("-")[0];
+    const loose = lower.findIndex(a => a === primary || a.split("-")[0] === primary);
+    if (loose >= 0) return available[loose];
+  }
+  return fallback;
+}
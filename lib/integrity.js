@@ -0,0 +1,194 @@
+import { diffWords } from "./revision.js";
+import { foldAccents } from "./sections.js";
+
+/* ---------------- Integrity checks ----------------
+   Answers that would score well without being the learner's own prompt:
+
+   model_answer    – mostly the task's model answer pasted back
+   worked_example  – mostly the worked example from the Learn more text
+   keyword_list    – rubric trigger words with no sentence structure
+   template        – the inserted template with fewer than minWordsGate
+                     words of their own (its headings don't count)
+
+   Similarity is containment: the share of the answer's word 3-grams that
+   also occur in the source, so pasting the source with a few extra words
+   still counts. The learner page marks offline without the source texts:
+   it is given their shingles hashed (fingerprint) and compares the
+   answer's hashed shingles instead. A keyword list has almost no function words ("a", "the",
+   "for"…) and is either one long run without punctuation or mostly
+   one-word items; terse notes ("Format: table with timings and costs.")
+   pass. A word of the rubric's own keywords and patterns ("you", "am")
+   standing alone as a list item ("you, are, guide, i, am…") is a
+   keyword, not structure, so it isn't counted as a function word there;
+   inside a clause it counts like any other.
+
+   Thresholds can be tuned per task with an "integrity" block in the task
+   JSON (keys as in DEFAULT_INTEGRITY; lib/tasks.js fills in the rest).
+   --------------------------------------------------- */
+
+export const DEFAULT_INTEGRITY = {
+  similarity: 0.6,          // containment at or above this = copied
+  functionWordRatio: 0.2,   // keyword lists sit below this…
+  runOnWords: 8,            // …and either run on for this many words between punctuation
+  singleWordItems: 0.6      // …or are mostly one-word items ("table, bullets, tone")
+};
+
+const SHINGLE = 3;
+
+// Per language (primary subtag); the keyword-list check is skipped for languages not listed
+const FUNCTION_WORDS = {
+  en: "a an the and or but if then so of to in on at for with from by as is are was were be been am " +
+    "i i'm you me my your we our us it its this that these those there here what which who whom how " +
+    "when where why all any each some no not do does did will would can could should may might must " +
+    "have has had please about into over under than very just also more most only such too",
+  es: "el la los las un una unos unas y o pero si entonces de del a al en con por para sin sobre como " +
+    "es son era fue ser estar está están soy estoy yo tú me mi mis te tu tus nos nuestro nuestra se su sus " +
+    "le les lo que quien quién cual cuál cómo cuando cuándo donde dónde este esta estos estas ese esa eso " +
+    "hay muy más menos también no sí cada todo todos todas algún alguna porque qué puedes podrías debe",
+  fr: "le la les un une des et ou mais si alors de du au aux à en dans avec par pour sans sur comme " +
+    "est sont était être je tu il elle nous vous ils elles me moi mon ma mes te ton ta tes notre nos votre vos " +
+    "son sa ses se que qui quoi quel quelle comment quand où ce cet cette ces il y a très plus moins aussi " +
+    "ne pas oui chaque tout tous toutes parce peux pourrais dois j'ai c'est"
+};
+const functionWordSets = new Map();
+
+function functionWords(locale) {
+  const lang = String(locale || "en").split("-")[0];
+  if (!FUNCTION_WORDS[lang]) return null;
+  if (!functionWordSets.has(lang)) functionWordSets.set(lang, new Set(FUNCTION_WORDS[lang].split(" ")));
+  return functionWordSets.get(lang);
+}
+
+function words(text) {
+  return String(text || "").toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+function shingles(tokens) {
+  const size = Math.min(SHINGLE, tokens.length);
+  const out = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) out.add(tokens.slice(i, i + size).join(" "));
+  return out;
+}
+
+// 32-bit FNV-1a
+function hashShingle(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+// Share of the answer's shingles that are also in `source`, a set of shingles or of their hashes (0–1)
+function shareOf(answer, source, hash = s => s) {
+  if (!answer.size || !source.size) return 0;
+  let shared = 0;
+  for (const s of answer) if (source.has(hash(s))) shared++;
+  return shared / answer.size;
+}
+
+export function containment(answerText, sourceText) {
+  return shareOf(shingles(words(answerText)), shingles(words(sourceText)));
+}
+
+// What the similarity check needs of a source text, without the text: its shingles, hashed
+export function fingerprint(text) {
+  return [...shingles(words(text))].map(hashShingle);
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+const triggerCache = new WeakMap();
+
+// Every word in the rubric's keywords and patterns (facets included), accent-folded.
+// Patterns lose their escapes (\b, \s…) and character classes first.
+function triggerWords(rubric) {
+  if (!rubric) return new Set();
+  if (!triggerCache.has(rubric)) {
+    const out = new Set();
+    for (const c of rubric.criteria) {
+      for (const re of [...c.positives, ...(c.quality?.facets || []).flatMap(f => f.positives)]) {
+        const literal = re.source.replace(/\[[^\]]*\]/g, " ").replace(/\\[a-zA-Z]/g, " ");
+        for (const w of words(literal)) out.add(w);
+      }
+    }
+    triggerCache.set(rubric, out);
+  }
+  return triggerCache.get(rubric);
+}
+
+function looksLikeKeywordList(answerText, limits, fnWords, triggers) {
+  const tokens = words(answerText);
+  if (!tokens.length || !fnWords) return null;
+
+  // Template headings ("Role:") are structure, not list items
+  const clauses = answerText
+    .replace(/^\s*[\p{L} ]{1,20}:/gmu, "\n")
+    .split(/[.,;:!?\n]+/)
+    .map(c => words(c))
+    .filter(c => c.length > 0);
+  if (!clauses.length) return null;
+
+  const loneTriggers = clauses
+    .filter(c => c.length === 1 && fnWords.has(c[0]) && triggers.has(foldAccents(c[0])))
+    .length;
+  const functionRatio = (tokens.filter(w => fnWords.has(w)).length - loneTriggers) / tokens.length;
+  if (functionRatio >= limits.functionWordRatio) return null;
+
+  const wordsPerClause = tokens.length / clauses.length;
+  const singleWordShare = clauses.filter(c => c.length === 1).length / clauses.length;
+  if (wordsPerClause < limits.runOnWords && singleWordShare < limits.singleWordItems) return null;
+
+  return {
+    functionWordRatio: round2(functionRatio),
+    wordsPerClause: round2(wordsPerClause),
+    singleWordShare: round2(singleWordShare)
+  };
+}
+
+// Words the learner added to the template (the template's own words don't count)
+function ownWords(templateText, answerText) {
+  return diffWords(templateText, answerText)
+    .filter(d => d.op === "add")
+    .reduce((n, d) => n + words(d.text).length, 0);
+}
+
+/*
+  Returns null when the answer looks like the learner's own work, else
+  { flag, ...measurements } for the instructor dashboard. The learner's
+  message is server.integrity.<flag> in the locale's catalogue.
+*/
+export function checkIntegrity(task, answerText) {
+  const limits = task.integrity || DEFAULT_INTEGRITY;
+
+  // The learner page has task.fingerprints instead of the texts (see the header comment)
+  const sources = [
+    { flag: "model_answer", text: task.modelAnswer, hashes: task.fingerprints?.modelAnswer },
+    { flag: "worked_example", text: task.learnMoreText, hashes: task.fingerprints?.learnMoreText }
+  ];
+  for (const { flag, text, hashes } of sources) {
+    let similarity;
+    if (text) similarity = containment(answerText, text);
+    else if (hashes?.length) similarity = shareOf(shingles(words(answerText)), new Set(hashes), hashShingle);
+    else continue;
+    if (similarity >= limits.similarity) {
+      return { flag, similarity: round2(similarity) };
+    }
+  }
+
+  const list = looksLikeKeywordList(answerText, limits, functionWords(task.locale), triggerWords(task.rubric));
+  if (list) return { flag: "keyword_list", ...list };
+
+  // Only when the template was actually inserted (most of its words are there)
+  const templateWords = words(task.templateText);
+  if (templateWords.length) {
+    const present = new Set(words(answerText));
+    const inserted = templateWords.filter(w => present.has(w)).length / templateWords.length >= 0.6;
+    const own = inserted ? ownWords(task.templateText, answerText) : Infinity;
+    if (own < task.minWordsGate) {
+      return { flag: "template", ownWords: own };
+    }
+  }
+
+  return null;
+}
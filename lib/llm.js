@@ -0,0 +1,203 @@
+import { applyRubric, criterionTag, gridRow } from "./rubric.js";
+
+/* ---------------- LLM marker ----------------
+   Optional second marker behind the same /api/mark result shape.
+
+   Providers implement complete(request, { signal }) -> reply text, where
+   request = { messages, task, answerText }. Two ship here:
+   - "chat": POSTs { model, messages } to a chat-completion-style endpoint
+             and returns choices[0].message.content
+   - "mock": answers locally (offline testing); LLM_MOCK_MODE picks
+             agree | harsh | slow | error | malformed
+
+   The reply must be JSON:
+   {
+     "criteria": [ { "id": "role", "status": "secure|developing|missing", "comment": "…" } ],
+     "score": 0–maxScore,
+     "strengths": ["…"],
+     "message": "…"
+   }
+   Anything else throws, and the caller falls back to the deterministic marker.
+   -------------------------------------------- */
+
+const LLM_STATES = ["secure", "developing", "missing"];
+
+function createChatProvider({ endpoint, apiKey, model }) {
+  if (!endpoint) throw new Error("LLM_ENDPOINT is required for the chat provider");
+
+  return {
+    name: "chat",
+    async complete({ messages }, { signal }) {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature: 0,
+          response_format: { type: "json_object" }
+        }),
+        signal
+      });
+      if (!res.ok) throw new Error(`LLM endpoint returned ${res.status}`);
+      const data = await res.json();
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") throw new Error("LLM reply had no message content");
+      return content;
+    }
+  };
+}
+
+function createMockProvider({ mockMode = "agree" }) {
+  return {
+    name: "mock",
+    async complete({ task, answerText }, { signal }) {
+      if (mockMode === "error") throw new Error("mock provider error");
+      if (mockMode === "malformed") return "Sure! Here is my assessment: the prompt is great.";
+      if (mockMode === "slow") {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, 60_000);
+          signal?.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(new Error("aborted"));
+          });
+        });
+      }
+
+      // Mirror the deterministic marker; "harsh" downgrades every stage one level
+      const base = applyRubric(task.rubric, answerText);
+      const harsh = mockMode === "harsh";
+      const criteria = task.rubric.criteria.map((c, i) => {
+        const tag = base.tags[i].status;
+        let status = tag === "ok" ? "secure" : tag === "mid" ? "developing" : "missing";
+        if (harsh) status = status === "secure" ? "developing" : "missing";
+        return { id: c.id, status, comment: base.grid[i].detail };
+      });
+
+      return JSON.stringify({
+        criteria,
+        score: harsh ? Math.max(0, base.score - 4) : base.score,
+        strengths: base.strengths,
+        message: base.message
+      });
+    }
+  };
+}
+
+export function createLlmProvider(config) {
+  if (config.provider === "mock") return createMockProvider(config);
+  if (config.provider === "chat") return createChatProvider(config);
+  throw new Error(`Unknown LLM_PROVIDER "${config.provider}"`);
+}
+
+// language: the name of the task's language, for tasks not in English
+function buildMessages(task, answerText, language) {
+  const rubric = task.rubric;
+  const criteria = rubric.criteria.map(c => {
+    const facets = c.quality
+      ? ` Secure needs at least ${c.quality.secureAt} of: ${c.quality.facets.map(f => f.hint).join("; ")}.`
+      : "";
+    return `- ${c.id} (${c.label}): ${c.feedback.missing}${facets}`;
+  });
+
+  const system = [
+    "You mark short learner answers for an AI prompting exercise.",
+    "Judge each rubric criterion as secure, developing or missing, and give one sentence of feedback per criterion that says what would lift it.",
+    `Give an overall score from 0 to ${rubric.maxScore}.`,
+    ...(language ? [`The exercise and answer are in ${language}; write every comment, strength and the message in ${language}.`] : []),
+    "Reply with JSON only, in this shape:",
+    '{"criteria":[{"id":"<criterion id>","status":"secure|developing|missing","comment":"…"}],"score":<number>,"strengths":["…"],"message":"…"}'
+  ].join("\n");
+
+  const user = [
+    "Exercise:",
+    task.questionText,
+    "",
+    "Rubric criteria:",
+    ...criteria,
+    "",
+    "Learner answer:",
+    answerText
+  ].join("\n");
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: user }
+  ];
+}
+
+// Validates the provider reply and maps it onto score/strengths/tags/grid
+function parseReply(task, text) {
+  const rubric = task.rubric;
+
+  let reply;
+  try {
+    reply = JSON.parse(String(text).trim().replace(/^```(?:json)?\s*|\s*```$/g, ""));
+  } catch {
+    throw new Error("LLM reply was not valid JSON");
+  }
+
+  const score = Number(reply?.score);
+  if (!Number.isFinite(score) || score < 0 || score > rubric.maxScore) {
+    throw new Error("LLM reply had an invalid score");
+  }
+
+  const byId = new Map((Array.isArray(reply.criteria) ? reply.criteria : []).map(c => [c?.id, c]));
+  const stages = rubric.criteria.map(c => {
+    const r = byId.get(c.id);
+    if (!r || !LLM_STATES.includes(r.status)) {
+      throw new Error(`LLM reply had no valid status for "${c.id}"`);
+    }
+    return { criterion: c, state: r.status, comment: String(r.comment || "") };
+  });
+
+  const strengths = (Array.isArray(reply.strengths) ? reply.strengths : [])
+    .filter(s => typeof s === "string" && s.trim())
+    .slice(0, rubric.maxStrengths);
+
+  return {
+    message: typeof reply.message === "string" ? reply.message : "",
+    score: Math.round(score),
+    strengths,
+    tags: stages.map(s => criterionTag(s.criterion, s.state)),
+    grid: stages.map(s => gridRow(rubric, s.criterion, s.state,
+      s.comment || (s.state === "secure" ? s.criterion.feedback.present : s.criterion.feedback.missing)))
+  };
+}
+
+export async function markWithLlm(provider, task, answerText, { timeoutMs = 8000, language = "" } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const text = await provider.complete(
+      { messages: buildMessages(task, answerText, language), task, answerText },
+      { signal: controller.signal }
+    );
+    return parseReply(task, text);
+  } catch (err) {
+    if (controller.signal.aborted) throw new Error(`LLM marker timed out after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Summarises how far two marker results disagree
+export function compareMarks(primary, secondary, threshold) {
+  const delta = secondary.score - primary.score;
+  const stages = primary.tags
+    .map((t, i) => ({ label: t.label, primary: t.status, secondary: secondary.tags[i]?.status }))
+    .filter(s => s.primary !== s.secondary);
+
+  return {
+    primaryScore: primary.score,
+    secondaryScore: secondary.score,
+    delta,
+    stages,
+    disagreement: Math.abs(delta) >= threshold
+  };
+}
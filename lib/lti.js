@@ -0,0 +1,361 @@
+import fs from "fs";
+import crypto from "crypto";
+
+/* ---------------- LTI 1.3 ----------------
+   Lets Moodle/Canvas launch the automarker instead of the access-code gate.
+
+   Platforms are registered in a JSON file (LTI_PLATFORMS):
+   [ { "issuer": "https://moodle.example.ac.uk",
+       "clientId": "…",
+       "deploymentIds": ["1"],               (empty = any deployment)
+       "authLoginUrl": "…/mod/lti/auth.php",
+       "authTokenUrl": "…/mod/lti/token.php",
+       "jwksUrl": "…/mod/lti/certs.php" } ]
+
+   Flow: platform -> /lti/login (OIDC initiation) -> platform auth ->
+   /lti/launch with an id_token, verified here against the platform JWKS.
+   Resource link launches open a session; deep linking lets the
+   instructor pick a task. Scores go back through Assignment and Grade
+   Services (AGS) with a client-credentials token signed by the tool key,
+   whose public half is served at /lti/jwks.
+
+   Only RS256 is accepted, as the LTI security framework requires.
+   ------------------------------------------ */
+
+export const CLAIMS = {
+  messageType: "https://purl.imsglobal.org/spec/lti/claim/message_type",
+  version: "https://purl.imsglobal.org/spec/lti/claim/version",
+  deploymentId: "https://purl.imsglobal.org/spec/lti/claim/deployment_id",
+  targetLinkUri: "https://purl.imsglobal.org/spec/lti/claim/target_link_uri",
+  resourceLink: "https://purl.imsglobal.org/spec/lti/claim/resource_link",
+  context: "https://purl.imsglobal.org/spec/lti/claim/context",
+  custom: "https://purl.imsglobal.org/spec/lti/claim/custom",
+  ags: "https://purl.imsglobal.org/spec/lti-ags/claim/endpoint",
+  deepLinkingSettings: "https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings",
+  contentItems: "https://purl.imsglobal.org/spec/lti-dl/claim/content_items",
+  deepLinkingData: "https://purl.imsglobal.org/spec/lti-dl/claim/data"
+};
+
+const AGS_SCORE_SCOPE = "https://purl.imsglobal.org/spec/lti-ags/scope/score";
+const CLOCK_SKEW_SECONDS = 60;
+const FETCH_TIMEOUT_MS = 10_000;
+
+/* ---------------- JWT (RS256) ---------------- */
+function b64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+export function signJwt(payload, privateKey, kid) {
+  const header = { alg: "RS256", typ: "JWT", kid };
+  const signingInput = `${b64url(JSON.stringify(header))}.${b64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign("sha256", Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+export function decodeJwt(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new Error("malformed_jwt");
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8")),
+      payload: JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8")),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], "base64url")
+    };
+  } catch {
+    throw new Error("malformed_jwt");
+  }
+}
+
+// keyFor(kid) -> KeyObject | null. Checks signature, iss, aud/azp and the time claims.
+export async function verifyJwt(token, keyFor, { issuer, audience }) {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+  if (header.alg !== "RS256") throw new Error("unsupported_alg");
+
+  const key = await keyFor(header.kid);
+  if (!key) throw new Error("unknown_key");
+  if (!crypto.verify("sha256", Buffer.from(signingInput), key, signature)) throw new Error("bad_signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.iss !== issuer) throw new Error("wrong_issuer");
+  const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!aud.includes(audience)) throw new Error("wrong_audience");
+  if (aud.length > 1 && payload.azp !== audience) throw new Error("wrong_azp");
+  if (typeof payload.exp !== "number" || now > payload.exp + CLOCK_SKEW_SECONDS) throw new Error("token_expired");
+  if (typeof payload.iat !== "number" || payload.iat > now + CLOCK_SKEW_SECONDS) throw new Error("token_not_yet_valid");
+
+  return payload;
+}
+
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Platform JWKS, cached; an unknown kid triggers one refetch (key rotation) at most every 30s
+export function createKeySet(jwksUrl, { ttlMs = 10 * 60_000, refetchMs = 30_000 } = {}) {
+  let keys = new Map();
+  let fetchedAt = 0;
+
+  async function refresh() {
+    const res = await fetchWithTimeout(jwksUrl);
+    if (!res.ok) throw new Error(`JWKS fetch failed: ${res.status}`);
+    const data = await res.json();
+    keys = new Map();
+    for (const jwk of Array.isArray(data?.keys) ? data.keys : []) {
+      if (jwk.kty !== "RSA" || (jwk.use && jwk.use !== "sig")) continue;
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+    }
+    fetchedAt = Date.now();
+  }
+
+  return async function keyFor(kid) {
+    const age = Date.now() - fetchedAt;
+    if (age > ttlMs || (!keys.has(kid) && age > refetchMs)) await refresh();
+    // A JWKS with a single key may be used without a kid
+    if (!kid && keys.size === 1) return [...keys.values()][0];
+    return keys.get(kid) || null;
+  };
+}
+
+/* ---------------- Configuration ---------------- */
+export function loadPlatforms(file) {
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(list)) throw new Error(`${file}: expected an array of platforms`);
+
+  return list.map((p, i) => {
+    for (const field of ["issuer", "clientId", "authLoginUrl", "authTokenUrl", "jwksUrl"]) {
+      if (!p?.[field]) throw new Error(`${file}: platform ${i} is missing "${field}"`);
+    }
+    return {
+      issuer: String(p.issuer),
+      clientId: String(p.clientId),
+      deploymentIds: (Array.isArray(p.deploymentIds) ? p.deploymentIds : []).map(String),
+      authLoginUrl: String(p.authLoginUrl),
+      authTokenUrl: String(p.authTokenUrl),
+      jwksUrl: String(p.jwksUrl)
+    };
+  });
+}
+
+// The tool's signing key: LTI_PRIVATE_KEY (PEM) if given, else generated once and kept in keyFile
+export function loadToolKey({ pem = "", keyFile }) {
+  let privateKey;
+  if (pem) {
+    privateKey = crypto.createPrivateKey(pem);
+  } else if (fs.existsSync(keyFile)) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile, "utf8"));
+  } else {
+    ({ privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }));
+    fs.writeFileSync(keyFile, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+  }
+
+  const jwk = crypto.createPublicKey(privateKey).export({ format: "jwk" });
+  const kid = crypto.createHash("sha256").update(jwk.n).digest("hex").slice(0, 16);
+  return { privateKey, kid, publicJwk: { ...jwk, kid, alg: "RS256", use: "sig" } };
+}
+
+// Stable learner id (UUID-shaped, like newId()) for a platform user
+export function ltiLearnerId(issuer, sub) {
+  const h = crypto.createHash("sha256").update(`${issuer}\n${sub}`).digest("hex");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+}
+
+/* ---------------- Tool ---------------- */
+export function createLtiTool({ platforms, toolKey, nonceTtlMs = 10 * 60_000 }) {
+  const keySets = new Map(platforms.map(p => [p, createKeySet(p.jwksUrl)]));
+  const tokens = new Map(); // `${issuer}\n${clientId}` -> { token, expiresAt }
+
+  // Nonces seen in accepted launches, so an id_token can't be replayed
+  const usedNonces = new Map();
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [nonce, until] of usedNonces) if (until <= now) usedNonces.delete(nonce);
+  }, 60_000);
+  timer.unref?.();
+
+  function findPlatform(issuer, clientId = "") {
+    return platforms.find(p => p.issuer === issuer && (!clientId || p.clientId === clientId)) || null;
+  }
+
+  // OIDC login initiation -> { redirectUrl, state } (state goes in a cookie; nonce travels inside it)
+  function loginRedirect(params, redirectUri) {
+    const platform = findPlatform(String(params.iss || ""), String(params.client_id || ""));
+    if (!platform) throw new Error("unknown_platform");
+    if (!params.login_hint) throw new Error("missing_login_hint");
+
+    const state = crypto.randomBytes(24).toString("hex");
+    const nonce = crypto.randomBytes(24).toString("hex");
+    const url = new URL(platform.authLoginUrl);
+    const query = {
+      scope: "openid",
+      response_type: "id_token",
+      response_mode: "form_post",
+      prompt: "none",
+      client_id: platform.clientId,
+      redirect_uri: redirectUri,
+      login_hint: String(params.login_hint),
+      state,
+      nonce
+    };
+    if (params.lti_message_hint) query.lti_message_hint = String(params.lti_message_hint);
+    for (const [k, v] of Object.entries(query)) url.searchParams.set(k, v);
+
+    return { redirectUrl: url.toString(), state: { state, nonce, issuer: platform.issuer, clientId: platform.clientId } };
+  }
+
+  // Validates the id_token against the state saved at login; returns { platform, claims }
+  async function validateLaunch(idToken, stateParam, saved) {
+    if (!saved || !stateParam || saved.state !== stateParam) throw new Error("state_mismatch");
+
+    const platform = findPlatform(saved.issuer, saved.clientId);
+    if (!platform) throw new Error("unknown_platform");
+
+    const claims = await verifyJwt(idToken, keySets.get(platform), { issuer: platform.issuer, audience: platform.clientId });
+    if (claims.nonce !== saved.nonce || usedNonces.has(claims.nonce)) throw new Error("bad_nonce");
+    if (claims[CLAIMS.version] !== "1.3.0") throw new Error("unsupported_version");
+
+    const deploymentId = String(claims[CLAIMS.deploymentId] || "");
+    if (!deploymentId || (platform.deploymentIds.length && !platform.deploymentIds.includes(deploymentId))) {
+      throw new Error("unknown_deployment");
+    }
+    if (!claims.sub) throw new Error("anonymous_launch");
+
+    usedNonces.set(claims.nonce, Date.now() + nonceTtlMs);
+    return { platform, claims };
+  }
+
+  // Deep linking: one signed LtiDeepLinkingResponse per offered content item
+  function deepLinkResponse(platform, claims, contentItems) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      iss: platform.clientId,
+      aud: platform.issuer,
+      iat: now,
+      exp: now + 300,
+      nonce: crypto.randomBytes(16).toString("hex"),
+      [CLAIMS.messageType]: "LtiDeepLinkingResponse",
+      [CLAIMS.version]: "1.3.0",
+      [CLAIMS.deploymentId]: claims[CLAIMS.deploymentId],
+      [CLAIMS.contentItems]: contentItems
+    };
+    const data = claims[CLAIMS.deepLinkingSettings]?.data;
+    if (data !== undefined) payload[CLAIMS.deepLinkingData] = data;
+    return signJwt(payload, toolKey.privateKey, toolKey.kid);
+  }
+
+  async function accessToken(platform, scope) {
+    const key = `${platform.issuer}\n${platform.clientId}\n${scope}`;
+    const cached = tokens.get(key);
+    if (cached && cached.expiresAt > Date.now() + 30_000) return cached.token;
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = signJwt({
+      iss: platform.clientId,
+      sub: platform.clientId,
+      aud: platform.authTokenUrl,
+      iat: now,
+      exp: now + 300,
+      jti: crypto.randomUUID()
+    }, toolKey.privateKey, toolKey.kid);
+
+    const res = await fetchWithTimeout(platform.authTokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "client_credentials",
+        client_assertion_type: "urn:ietf:params:oauth:client-assertion-type:jwt-bearer",
+        client_assertion: assertion,
+        scope
+      })
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data?.access_token) throw new Error(`token request failed: ${res.status}`);
+
+    tokens.set(key, { token: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 });
+    return data.access_token;
+  }
+
+  // launch: a stored launch record; score: { given, maximum, comment? }
+  async function postScore(launch, score) {
+    const platform = findPlatform(launch.issuer, launch.clientId);
+    if (!platform) throw new Error("unknown_platform");
+    if (!launch.ags?.lineitem || !launch.ags.scope.includes(AGS_SCORE_SCOPE)) throw new Error("no_score_service");
+
+    const token = await accessToken(platform, AGS_SCORE_SCOPE);
+    // The scores service hangs off the line item URL, before any query string
+    const url = new URL(launch.ags.lineitem);
+    url.pathname = `${url.pathname.replace(/\/+$/, "")}/scores`;
+
+    const res = await fetchWithTimeout(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/vnd.ims.lis.v1.score+json",
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        userId: launch.sub,
+        scoreGiven: score.given,
+        scoreMaximum: score.maximum,
+        ...(score.comment ? { comment: score.comment } : {}),
+        activityProgress: "Completed",
+        gradingProgress: "FullyGraded",
+        timestamp: new Date().toISOString()
+      })
+    });
+    if (!res.ok) throw new Error(`score post failed: ${res.status}`);
+  }
+
+  return {
+    platforms,
+    jwks: { keys: [toolKey.publicJwk] },
+    loginRedirect,
+    validateLaunch,
+    deepLinkResponse,
+    postScore
+  };
+}
+
+/* ---------------- Pages ---------------- */
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// items: [{ title, jwt }] — each button posts its own signed response back to the platform
+export function deepLinkPage(returnUrl, items) {
+  const forms = items.map(item => `
+      <form method="post" action="${escapeHtml(returnUrl)}" class="deepLinkItem">
+        <input type="hidden" name="JWT" value="${escapeHtml(item.jwt)}" />
+        <span>${escapeHtml(item.title)}</span>
+        <button type="submit" class="primary small">Add to course</button>
+      </form>`).join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Choose a task – FEthink automarker</title>
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+  <main class="layout">
+    <section class="card">
+      <h1>Choose a task</h1>
+      <p class="subtle">The task you pick is added to your course; learners launching it go straight in, and their scores return to the gradebook.</p>
+      ${forms}
+    </section>
+  </main>
+</body>
+</html>`;
+}
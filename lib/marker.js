@@ -0,0 +1,70 @@
+import { applyRubric } from "./rubric.js";
+import { checkIntegrity } from "./integrity.js";
+
+/* ---------------- Deterministic marker ----------------
+   The marker behind /api/tasks/:taskId/mark (and the fallback for the LLM
+   marker). Shared with scripts/calibrate.js, so calibration runs measure
+   exactly what learners get, and with the learner page, which marks with
+   it for the live checklist and when offline. So this module and
+   everything it imports must stay free of Node APIs; server.js serves
+   them from /lib (SHARED_MODULES).
+   ------------------------------------------------------ */
+
+export function wordCount(text) {
+  const t = String(text || "").trim();
+  if (!t) return 0;
+  return t.split(/\s+/).filter(Boolean).length;
+}
+
+// i18n: from lib/i18n.js, for the gate and integrity messages in the task's locale
+export function markPromptingResponse(task, answerText, i18n) {
+  const wc = wordCount(answerText);
+  const minWords = task.minWordsGate;
+
+  // HARD GATE: under minWordsGate words — no rubric, no model answer, no extras
+  if (wc < minWords) {
+    return {
+      gated: true,
+      wordCount: wc,
+      message: i18n.t(task.locale, "server.gated", {
+        minWords,
+        criteria: task.rubric.criteria.map(c => c.label.toLowerCase()).join(", ")
+      }),
+      score: null,
+      strengths: null,
+      tags: null,
+      grid: null,
+      evidence: null,
+      learnMoreText: null,
+      modelAnswer: null
+    };
+  }
+
+  const marked = applyRubric(task.rubric, answerText);
+
+  // Pasted model answer / worked example, keyword lists, bare template: not marked
+  const integrity = checkIntegrity(task, answerText);
+  if (integrity) {
+    return {
+      gated: true,
+      wordCount: wc,
+      message: i18n.t(task.locale, `server.integrity.${integrity.flag}`, { own: integrity.ownWords }),
+      integrity,
+      score: null,
+      strengths: null,
+      tags: null,
+      grid: null,
+      evidence: null,
+      learnMoreText: null,
+      modelAnswer: null
+    };
+  }
+
+  return {
+    gated: false,
+    wordCount: wc,
+    ...marked,
+    learnMoreText: task.learnMoreText,
+    modelAnswer: task.modelAnswer
+  };
+}
@@ -0,0 +1,27 @@
+/* ---------------- Messages ----------------
+   Placeholder formatting and message lookup over loaded catalogues
+   (lib/i18n.js loads them). No Node APIs here: like the marker modules,
+   this file is also served to the learner page (see SHARED_MODULES in
+   server.js).
+   ------------------------------------------ */
+
+export function format(template, vars = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+}
+
+export function createI18n(catalogues, defaultLocale) {
+  const catalogue = (locale) => catalogues.get(locale) || catalogues.get(defaultLocale);
+
+  return {
+    defaultLocale,
+    locales: [...catalogues.keys()],
+    catalogue,
+
+    // t("es", "server.integrity.template", { own: 3 })
+    t(locale, key, vars) {
+      const value = key.split(".").reduce((node, k) => node?.[k], catalogue(locale));
+      if (typeof value !== "string") throw new Error(`Missing message "${key}"`);
+      return format(value, vars);
+    }
+  };
+}
@@ -0,0 +1,261 @@
+import { applyRubric } from "./rubric.js";
+import { foldAccents } from "./sections.js";
+import { format } from "./i18n.js";
+
+/* ---------------- "Run my prompt" preview ----------------
+   Runs the learner's prompt and the task's weak prompt through a text
+   generator so the page can show the two outputs side by side, with a
+   note per rubric criterion on what that stage changed.
+
+   Generators implement generate(prompt, { task, messages, signal }) ->
+   text. Two ship here:
+   - "stub": offline and deterministic. It marks the prompt with the
+             task's rubric and builds a simulated itinerary from what it
+             found (role -> voice, task -> a day-by-day plan, context ->
+             who it's tailored to, format -> bullets, costs, distances,
+             timings) using the task's "preview.items"
+   - "chat": POSTs { model, messages } to a chat-completion-style
+             endpoint and returns choices[0].message.content
+
+   messages: the "preview" block of the task locale's catalogue.
+   --------------------------------------------------------- */
+
+function createChatGenerator({ endpoint, apiKey, model }) {
+  if (!endpoint) throw new Error("PREVIEW_ENDPOINT (or LLM_ENDPOINT) is required for the chat generator");
+
+  return {
+    name: "chat",
+    async generate(prompt, { signal }) {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, messages: [{ role: "user", content: prompt }] }),
+        signal
+      });
+      if (!res.ok) throw new Error(`Generator endpoint returned ${res.status}`);
+      const data = await res.json();
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") throw new Error("Generator reply had no message content");
+      return content;
+    }
+  };
+}
+
+/* ---------------- Offline stub ---------------- */
+
+// Every match of a facet's patterns, with offsets into the prompt (the folded text keeps its length)
+function facetMatches(facet, text, original) {
+  const out = [];
+  for (const source of facet.positives) {
+    const re = new RegExp(source.source, "gi");
+    let m;
+    while ((m = re.exec(text))) {
+      if (!m[0]) {
+        re.lastIndex++;
+        continue;
+      }
+      out.push({ start: m.index, end: m.index + m[0].length, text: original.slice(m.index, m.index + m[0].length) });
+    }
+  }
+  return out.sort((a, b) => a.start - b.start);
+}
+
+// What the rubric found in the prompt: stage present or not, plus the matches per quality facet
+function detect(task, prompt) {
+  const marked = applyRubric(task.rubric, prompt);
+  const text = foldAccents(prompt);
+  const found = {};
+  task.rubric.criteria.forEach((c, i) => {
+    const present = marked.tags[i].status !== "bad";
+    const facets = {};
+    if (present) for (const f of c.quality?.facets || []) facets[f.id] = facetMatches(f, text, prompt);
+    found[c.id] = { present, facets };
+  });
+  return found;
+}
+
+// The longest run of matches separated only by spaces ("experienced" + "tour guide")
+function longestPhrase(matches, original) {
+  let best = "";
+  let run = null;
+  for (const m of [...matches].sort((a, b) => a.start - b.start)) {
+    if (run && m.start >= run.end && !original.slice(run.end, m.start).trim()) run.end = m.end;
+    else if (!run || m.start >= run.end) run = { start: m.start, end: m.end };
+    const phrase = original.slice(run.start, run.end);
+    if (phrase.length > best.length) best = phrase;
+  }
+  return best;
+}
+
+// The prompt's sentences that contain a match, in order: [{ start, end, text }]
+function sentencesWith(matches, original) {
+  const out = [];
+  for (const m of matches) {
+    const start = original.slice(0, m.start).search(/[^.!?\n]*$/);
+    const end = m.end + original.slice(m.end).search(/[.!?\n]|$/) + 1;
+    if (out.some(s => s.start === start)) continue;
+    out.push({ start, end, text: original.slice(start, end).trim() });
+  }
+  return out;
+}
+
+function clip(text, max = 240) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// A day count the prompt asked for (the first number in the scope/when matches), else 3
+function dayCount(found) {
+  const matches = [...(found.task?.facets.scope || []), ...(found.context?.facets.when || [])];
+  for (const m of matches) {
+    const n = parseInt(m.text.match(/\d+/)?.[0] || "", 10);
+    if (n >= 1 && n <= 7) return n;
+  }
+  return 3;
+}
+
+function createStubGenerator() {
+  return {
+    name: "stub",
+    async generate(prompt, { task, messages }) {
+      const m = messages.stub;
+      const items = task.preview.items;
+      const found = detect(task, prompt);
+      const has = (id) => !!found[id]?.present;
+      const facet = (id, f) => found[id]?.facets[f] || [];
+      const lines = [];
+
+      // Role: a voice, or an encyclopedia
+      const role = longestPhrase([...facet("role", "persona"), ...facet("role", "expertise")], prompt);
+      lines.push(role ? format(m.introRole, { role }) : m.introNone);
+
+      // Context: what the learner said about themselves, or an admission that it's generic.
+      // Sentences mostly about another stage ("distances from the hotel") are left out.
+      const inside = (list, sn) => list.filter(x => x.start >= sn.start && x.end <= sn.end).length;
+      const stageMatches = Object.entries(found).map(([id, f]) => [id, Object.values(f.facets).flat()]);
+      const contextMatches = Object.values(found.context?.facets || {}).flat().sort((a, b) => a.start - b.start);
+      const who = sentencesWith(contextMatches, prompt)
+        .filter(sn => stageMatches.every(([id, list]) => id === "context" || inside(list, sn) <= inside(contextMatches, sn)))
+        .map(sn => sn.text)
+        .join(" ");
+      lines.push(who ? format(m.tailored, { who: clip(who) }) : m.untailored);
+      lines.push("");
+
+      // Task: a plan with days, or a list of famous things
+      if (!has("task") || !items.length) {
+        lines.push(format(m.overview, { items: items.slice(0, 4).map(i => i.name).join(", ") }));
+        return lines.join("\n").trim();
+      }
+
+      // Format: bullets with the details asked for, or run-on prose
+      const structured = has("format");
+      const show = {
+        cost: facet("format", "costs").length > 0,
+        distance: facet("format", "distances").length > 0,
+        time: facet("format", "timings").length > 0
+      };
+      const details = (item) => [
+        show.cost && item.cost ? format(m.cost, { value: item.cost }) : "",
+        show.distance && item.distance ? format(m.distance, { value: item.distance }) : "",
+        show.time && item.time ? format(m.time, { value: item.time }) : ""
+      ].filter(Boolean).join(" · ");
+
+      const days = dayCount(found);
+      lines.push(format(m.planTitle, { days }));
+      for (let d = 0; d < days; d++) {
+        const am = items[(2 * d) % items.length];
+        const pm = items[(2 * d + 1) % items.length];
+        if (!structured) {
+          lines.push(format(m.dayProse, { n: d + 1, first: am.name, second: pm.name }));
+          continue;
+        }
+        lines.push(format(m.day, { n: d + 1 }));
+        for (const [slot, item] of [[m.morning, am], [m.afternoon, pm]]) {
+          const extra = details(item);
+          const name = show.time ? format(m.slot, { slot, item: item.name }) : item.name;
+          lines.push(`• ${name}${extra ? ` — ${extra}` : ""}`);
+        }
+      }
+
+      if (facet("format", "tone").length) lines.push("", m.tone);
+      return lines.join("\n").trim();
+    }
+  };
+}
+
+export function createGenerator(config) {
+  if (config.provider === "stub") return createStubGenerator();
+  if (config.provider === "chat") return createChatGenerator(config);
+  throw new Error(`Unknown PREVIEW_GENERATOR "${config.provider}"`);
+}
+
+/* ---------------- Side-by-side run ---------------- */
+
+// One note per criterion on what having (or lacking) that stage did to the output
+function differences(task, weakPrompt, prompt, messages) {
+  const weak = applyRubric(task.rubric, weakPrompt);
+  const yours = applyRubric(task.rubric, prompt);
+
+  return task.rubric.criteria.map((c, i) => {
+    const present = yours.tags[i].status !== "bad";
+    const evidence = [...new Set(yours.evidence[i].spans.map(sp => sp.text))];
+    const effect = messages.effects[c.id] || messages.effectsDefault;
+    return {
+      id: c.id,
+      label: c.label,
+      weak: weak.tags[i].status,
+      yours: yours.tags[i].status,
+      note: format(present ? effect.present : effect.missing, {
+        label: c.label,
+        evidence: evidence.slice(0, 3).map(t => `“${t}”`).join(", ")
+      })
+    };
+  });
+}
+
+/*
+  createPreview(generator, { timeoutMs }).run(task, prompt, messages) ->
+  { generator, weak: { prompt, output }, yours: { prompt, output }, differences }
+  The weak prompt's output is generated once per task and locale.
+*/
+export function createPreview(generator, { timeoutMs = 15000 } = {}) {
+  const weakOutputs = new Map();
+
+  async function generate(prompt, task, messages) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await generator.generate(prompt, { task, messages, signal: controller.signal });
+    } catch (err) {
+      if (controller.signal.aborted) throw new Error(`Generator timed out after ${timeoutMs}ms`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name: generator.name,
+
+    async run(task, prompt, messages) {
+      const weakPrompt = task.preview.weakPrompt;
+      const key = `${task.id}:${task.locale}`;
+      if (!weakOutputs.has(key)) {
+        // Cached as a promise so concurrent first requests share one call; failures aren't kept
+        const pending = generate(weakPrompt, task, messages);
+        weakOutputs.set(key, pending);
+        pending.catch(() => weakOutputs.delete(key));
+      }
+
+      const [weakOutput, output] = await Promise.all([weakOutputs.get(key), generate(prompt, task, messages)]);
+      return {
+        generator: generator.name,
+        weak: { prompt: weakPrompt, output: weakOutput },
+        yours: { prompt, output },
+        differences: differences(task, weakPrompt, prompt, messages)
+      };
+    }
+  };
+}
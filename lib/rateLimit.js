@@ -0,0 +1,90 @@
+/* ---------------- Rate limiting ----------------
+   In-memory, per process (the app runs as a single Render instance).
+
+   createRateLimiter: at most `max` hits per key in any `windowMs` (sliding log).
+   createBackoff:     after `freeFailures` consecutive failures a key is locked
+                      out for baseSeconds × 2^(extra failures), capped at
+                      maxSeconds. A success clears the key; failures are
+                      forgotten after `forgetMs` of quiet.
+
+   Both return { allowed: true } or { allowed: false, retryAfter: seconds }.
+   ------------------------------------------------ */
+
+const PRUNE_EVERY_MS = 60_000;
+
+function every(ms, fn) {
+  const timer = setInterval(fn, ms);
+  timer.unref?.();
+}
+
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  every(PRUNE_EVERY_MS, () => {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, times] of hits) {
+      if (!times.length || times[times.length - 1] <= cutoff) hits.delete(key);
+    }
+  });
+
+  return {
+    hit(key) {
+      if (!(max > 0)) return { allowed: true };
+
+      const now = Date.now();
+      const times = (hits.get(key) || []).filter(t => t > now - windowMs);
+      if (times.length >= max) {
+        hits.set(key, times);
+        return { allowed: false, retryAfter: Math.max(1, Math.ceil((times[0] + windowMs - now) / 1000)) };
+      }
+      times.push(now);
+      hits.set(key, times);
+      return { allowed: true };
+    }
+  };
+}
+
+export function createBackoff({ freeFailures, baseSeconds, maxSeconds, forgetMs = 60 * 60_000 }) {
+  const state = new Map();
+
+  every(PRUNE_EVERY_MS, () => {
+    const now = Date.now();
+    for (const [key, s] of state) {
+      if (now - s.last > forgetMs && now >= s.lockedUntil) state.delete(key);
+    }
+  });
+
+  function current(key) {
+    const s = state.get(key);
+    if (!s) return null;
+    if (Date.now() - s.last > forgetMs && Date.now() >= s.lockedUntil) {
+      state.delete(key);
+      return null;
+    }
+    return s;
+  }
+
+  return {
+    check(key) {
+      const s = current(key);
+      if (!s || Date.now() >= s.lockedUntil) return { allowed: true };
+      return { allowed: false, retryAfter: Math.ceil((s.lockedUntil - Date.now()) / 1000) };
+    },
+
+    fail(key) {
+      const s = current(key) || { failures: 0, lockedUntil: 0, last: 0 };
+      s.failures += 1;
+      s.last = Date.now();
+      const extra = s.failures - freeFailures;
+      if (extra >= 0) {
+        const seconds = Math.min(maxSeconds, baseSeconds * 2 ** extra);
+        s.lockedUntil = Date.now() + seconds * 1000;
+      }
+      state.set(key, s);
+    },
+
+    succeed(key) {
+      state.delete(key);
+    }
+  };
+}
@@ -0,0 +1,109 @@
+import { format } from "./messages.js";
+
+/* ---------------- Revision comparison ----------------
+   Compares a fresh marker result with the learner's previous marked attempt:
+   score delta, per-stage status changes and a word-level text diff.
+   ----------------------------------------------------- */
+
+const STATUS_RANK = { bad: 0, mid: 1, ok: 2 };
+
+// Above this many token pairs the LCS table gets too big; show a plain replace instead
+const MAX_DIFF_CELLS = 4_000_000;
+
+function tokenize(text) {
+  return String(text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+function pushOp(ops, op, text) {
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) last.text += text;
+  else ops.push({ op, text });
+}
+
+// [{ op: "same" | "add" | "del", text }], whitespace kept so the text can be rebuilt
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (a.length) ops.push({ op: "del", text: a.join("") });
+    if (b.length) ops.push({ op: "add", text: b.join("") });
+    return ops;
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushOp(ops, "same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushOp(ops, "del", a[i++]);
+    } else {
+      pushOp(ops, "add", b[j++]);
+    }
+  }
+  while (i < a.length) pushOp(ops, "del", a[i++]);
+  while (j < b.length) pushOp(ops, "add", b[j++]);
+
+  return ops;
+}
+
+// Matched by criterion id, so a stage still lines up when the other attempt was in another language
+function stageChanges(prevStages, nextStages) {
+  const key = (s) => s.id ?? s.label;
+  const prevByKey = new Map((prevStages || []).map(s => [key(s), s.status]));
+  return (nextStages || []).map(s => {
+    const from = prevByKey.get(key(s)) ?? null;
+    const diff = (STATUS_RANK[s.status] ?? 0) - (STATUS_RANK[from] ?? 0);
+    return {
+      label: s.label,
+      from,
+      to: s.status,
+      change: from === null ? "new" : diff > 0 ? "improved" : diff < 0 ? "declined" : "same"
+    };
+  });
+}
+
+// messages: the "server.revision" block of the locale's catalogue (lib/i18n.js)
+function summarise(scoreDelta, prevScore, score, stages, messages) {
+  const join = (labels) => labels.join(` ${messages.and} `);
+  const improved = stages.filter(s => s.change === "improved").map(s => s.label);
+  const declined = stages.filter(s => s.change === "declined").map(s => s.label);
+
+  const lines = [];
+  const scores = { from: prevScore, to: score };
+  if (scoreDelta > 0) lines.push(format(messages.up, scores));
+  else if (scoreDelta < 0) lines.push(format(messages.down, scores));
+  else lines.push(format(messages.same, scores));
+
+  if (improved.length) lines.push(format(messages.improved, { stages: join(improved) }));
+  if (declined.length) lines.push(format(messages.declined, { stages: join(declined) }));
+  if (!improved.length && !declined.length && scoreDelta === 0) lines.push(messages.unchanged);
+  return lines.join(" ");
+}
+
+// prev: a stored attempt (see saveAttempt in server.js); result: marker result
+export function compareWithPrevious(prev, result, answerText, messages) {
+  const stages = stageChanges(prev.stages, result.tags);
+  const scoreDelta = result.score - prev.score;
+
+  return {
+    previousAttemptId: prev.id,
+    previousScore: prev.score,
+    scoreDelta,
+    stages,
+    diff: diffWords(prev.answerText, answerText),
+    summary: summarise(scoreDelta, prev.score, result.score, stages, messages)
+  };
+}
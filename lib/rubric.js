@@ -0,0 +1,409 @@
+import { compileSectionLabels, parseSections, hasContent, foldAccents } from "./sections.js";
+
+/* ---------------- Rubric engine ----------------
+   Rubrics are plain data (see the "rubric" block in tasks/*.json):
+
+   {
+     "id": "prompt-4-stage",
+     "criteria": [
+       {
+         "id": "role", "label": "Role", "weight": 1,
+         "description": "who AI should be",  // optional, shown beside the label
+         "guidanceUrl": "https://…",         // optional "how to improve" link
+         "aliases": ["persona"],           // extra section headings, see sections.js
+         "keywords": ["act as"],          // literal, case-insensitive substrings
+         "patterns": ["\\byou are an?\\b"], // regex sources, case-insensitive
+         "negativePatterns": [],           // any match here => criterion missing
+         "strength": "You clearly set a role for the AI.",
+         "feedback": { "present": "Role is present.", "missing": "Add a role." },
+         "remedial": "Start with \"You are a…\"",  // optional, for a stage missed again and again (sequences.js)
+         "quality": {                      // optional depth grading, see below
+           "secureAt": 1,
+           "facets": [ { "id": "persona", "hint": "a specific persona", "keywords": ["tour guide"] } ]
+         }
+       }
+     ],
+     "bands": [ { "min": 1, "score": 10, "message": "Excellent…" }, … ],
+     "scoreScale": { "floor": 2, "max": 10 },  // optional, see below
+     "fallbackStrength": "…", "maxStrengths": 3
+   }
+
+   A criterion is present when any keyword/pattern matches and no negative
+   pattern does. Bands are checked highest "min" first against the weighted
+   credit earned (0–1).
+
+   Labelled answers ("Role: … Task: …") are checked section by section, so a
+   heading on its own earns nothing:
+     present   – own section (or unlabelled prose) matches        graded below
+     misplaced – own section doesn't, but another section does   credit 0.5
+     empty     – own section has no words                        credit 0
+     missing   – nothing matches                                 credit 0
+   Criteria without their own heading are matched against the whole answer.
+
+   A present criterion with a "quality" block is graded on depth: each facet
+   (audience, dates, costs…) found in the matched text counts towards
+   "secureAt". Short of that it is "developing" and earns partial credit
+   (0.5 plus a share of the remaining 0.5); the grid detail names the facets
+   that would lift it. Without "quality", present means secure.
+
+   With "scoreScale" the score is floor + (max − floor) × credit, rounded;
+   otherwise it is the matching band's fixed score.
+
+   Results (RESULT_SCHEMA_VERSION) carry one grid row per criterion, in
+   rubric order, so the page renders whatever criteria a task defines:
+   { id, label, description, status: "ok" | "mid" | "bad", statusText,
+     detail, guidanceUrl }
+
+   Language: compileRubric takes the defaults for the task's locale (the
+   "rubric" block of locales/<lang>.json: status labels, section and
+   quality feedback, list words). Matching ignores accents on both sides
+   ("telefono" finds "teléfono"), so rubrics in other languages can list
+   keywords either way.
+
+   Evidence: for every criterion the result lists the character offsets in
+   the answer of what it matched ("facet" names the quality facet, null for
+   the criterion's own keywords/patterns), so the page can highlight why a
+   stage counted. "weak" marks a stage that counts on a single phrase.
+   ------------------------------------------------ */
+
+const DEFAULT_STATUS_LABELS = {
+  secure: "✓ Secure",
+  developing: "◐ Developing",
+  misplaced: "◐ Check heading",
+  empty: "✗ Empty",
+  missing: "✗ Missing"
+};
+
+const DEFAULT_SECTION_FEEDBACK = {
+  empty: "Your {label} section is empty. {missing}",
+  misplaced: "Your {label} details appear under {found} – move them under the {label} heading.",
+  headingOnly: "Add content under {labels} – a heading on its own doesn’t count."
+};
+
+const DEFAULT_QUALITY_FEEDBACK = {
+  developing: "{label} is there but thin. To make it secure, add {facets}.",
+  extend: "You could go further by adding {facets}."
+};
+
+const CREDIT = { secure: 1, misplaced: 0.5, empty: 0, missing: 0 };
+
+export const TAG_STATUS = { secure: "ok", developing: "mid", misplaced: "mid", empty: "bad", missing: "bad" };
+
+// Bumped whenever the shape of tags/grid/strengths in a marker result changes
+export const RESULT_SCHEMA_VERSION = 2;
+
+// One criterion's tag and grid row (shared with the LLM marker)
+export function criterionTag(c, state) {
+  return { id: c.id, label: c.label, status: TAG_STATUS[state] };
+}
+
+export function gridRow(rubric, c, state, detail) {
+  return {
+    ...criterionTag(c, state),
+    description: c.description,
+    statusText: rubric.statusLabels[state],
+    detail,
+    guidanceUrl: c.guidanceUrl
+  };
+}
+
+function fill(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const DEFAULT_LIST_WORDS = { and: "and", or: "or", of: "{n} of: {items}" };
+
+// "a", "a and b", "a, b and c" (or "… or c"); conj is already in the rubric's language
+function joinList(items, conj) {
+  if (items.length <= 1) return items.join("");
+  return `${items.slice(0, -1).join(", ")} ${conj} ${items[items.length - 1]}`;
+}
+
+// The facets a developing criterion still needs, phrased for the grid detail
+function describeLacking(lacking, need, words) {
+  if (need >= lacking.length) return joinList(lacking, words.and);
+  if (need === 1) return joinList(lacking, words.or);
+  return fill(words.of, { n: need, items: lacking.join("; ") });
+}
+
+function compilePositives(raw, where) {
+  const sources = [
+    ...(Array.isArray(raw?.keywords) ? raw.keywords : []).map(k => escapeRegExp(foldAccents(String(k).toLowerCase()))),
+    ...(Array.isArray(raw?.patterns) ? raw.patterns : []).map(p => foldAccents(String(p)))
+  ];
+  if (!sources.length) throw new Error(`${where} has no keywords or patterns`);
+  return compileList(sources, where);
+}
+
+function compileQuality(raw, where, defaults) {
+  if (!raw) return null;
+
+  const facets = (Array.isArray(raw.facets) ? raw.facets : []).map((f, i) => {
+    const id = String(f?.id || i);
+    return { id, hint: String(f.hint || id), positives: compilePositives(f, `${where} facet "${id}"`) };
+  });
+  if (!facets.length) throw new Error(`${where} has a quality block without facets`);
+
+  const secureAt = Number(raw.secureAt) || 1;
+  if (secureAt > facets.length) throw new Error(`${where} secureAt is larger than its facet count`);
+
+  return {
+    facets,
+    secureAt,
+    feedback: { ...DEFAULT_QUALITY_FEEDBACK, ...defaults, ...(raw.feedback || {}) }
+  };
+}
+
+function compileList(list, where) {
+  return (Array.isArray(list) ? list : []).map(src => {
+    try {
+      return new RegExp(src, "i");
+    } catch (err) {
+      throw new Error(`Invalid pattern ${JSON.stringify(src)} in ${where}: ${err.message}`);
+    }
+  });
+}
+
+function compileCriterion(raw, rubricId, defaults) {
+  const id = String(raw?.id || "").trim();
+  if (!id) throw new Error(`Rubric "${rubricId}" has a criterion without an id`);
+  const where = `rubric "${rubricId}" criterion "${id}"`;
+
+  const weight = raw.weight ?? 1;
+  if (typeof weight !== "number" || weight < 0) throw new Error(`${where} has an invalid weight`);
+
+  return {
+    id,
+    label: String(raw.label || id),
+    description: String(raw.description || ""),
+    guidanceUrl: String(raw.guidanceUrl || ""),
+    aliases: (Array.isArray(raw.aliases) ? raw.aliases : []).map(String),
+    weight,
+    positives: compilePositives(raw, where),
+    negatives: compileList(raw.negativePatterns, where),
+    strength: String(raw.strength || ""),
+    feedback: {
+      present: String(raw.feedback?.present || `${raw.label || id} is present.`),
+      missing: String(raw.feedback?.missing || `Add ${raw.label || id}.`)
+    },
+    remedial: String(raw.remedial || ""),
+    quality: compileQuality(raw.quality, where, defaults.qualityFeedback)
+  };
+}
+
+// defaults: the "rubric" block of the task locale's catalogue (see lib/i18n.js)
+export function compileRubric(raw, defaults = {}) {
+  const id = String(raw?.id || "rubric");
+  const criteria = (Array.isArray(raw?.criteria) ? raw.criteria : []).map(c => compileCriterion(c, id, defaults));
+  if (!criteria.length) throw new Error(`Rubric "${id}" has no criteria`);
+
+  const seen = new Set();
+  for (const c of criteria) {
+    if (seen.has(c.id)) throw new Error(`Rubric "${id}" has duplicate criterion "${c.id}"`);
+    seen.add(c.id);
+  }
+
+  const bands = (Array.isArray(raw.bands) ? raw.bands : [])
+    .map(b => ({ min: Number(b.min) || 0, score: Number(b.score) || 0, message: String(b.message || "") }))
+    .sort((a, b) => b.min - a.min);
+  if (!bands.length || bands[bands.length - 1].min > 0) {
+    throw new Error(`Rubric "${id}" needs a score band with "min": 0`);
+  }
+
+  return {
+    id,
+    criteria,
+    bands,
+    scoreScale: raw.scoreScale
+      ? { floor: Number(raw.scoreScale.floor) || 0, max: Number(raw.scoreScale.max) || 10 }
+      : null,
+    maxScore: Number(raw.scoreScale?.max) || Number(raw.maxScore) || Math.max(...bands.map(b => b.score)),
+    labels: compileSectionLabels(criteria),
+    statusLabels: { ...DEFAULT_STATUS_LABELS, ...defaults.statusLabels, ...(raw.statusLabels || {}) },
+    sectionFeedback: { ...DEFAULT_SECTION_FEEDBACK, ...defaults.sectionFeedback, ...(raw.sectionFeedback || {}) },
+    listWords: {
+      and: defaults.and || DEFAULT_LIST_WORDS.and,
+      or: defaults.or || DEFAULT_LIST_WORDS.or,
+      of: defaults.of || DEFAULT_LIST_WORDS.of
+    },
+    fallbackStrength: String(raw.fallbackStrength || ""),
+    maxStrengths: Number(raw.maxStrengths) || 3
+  };
+}
+
+function matches(c, text) {
+  if (!hasContent(text)) return false;
+  const hit = c.positives.some(re => re.test(text));
+  const blocked = c.negatives.some(re => re.test(text));
+  return hit && !blocked;
+}
+
+// ranges: where in the answer the matched text came from (for evidence)
+function evaluateCriterion(c, parsed, rubric) {
+  if (!parsed.labelled || !parsed.sections.has(c.id)) {
+    const whole = [parsed.unlabelled, ...parsed.sections.values()].join("\n");
+    const ranges = [...parsed.looseSpans, ...[...parsed.spans.values()].flat()];
+    return matches(c, whole) ? { state: "present", text: whole, ranges } : { state: "missing" };
+  }
+
+  const own = parsed.sections.get(c.id);
+  if (matches(c, own) || matches(c, parsed.unlabelled)) {
+    return { state: "present", text: `${own}\n${parsed.unlabelled}`, ranges: [...parsed.spans.get(c.id), ...parsed.looseSpans] };
+  }
+
+  for (const [otherId, body] of parsed.sections) {
+    if (otherId !== c.id && matches(c, body)) {
+      const found = rubric.criteria.find(o => o.id === otherId)?.label || otherId;
+      return { state: "misplaced", found, ranges: parsed.spans.get(otherId) };
+    }
+  }
+
+  return { state: hasContent(own) ? "missing" : "empty" };
+}
+
+// Turns "present" into "secure" or "developing" according to the quality facets found
+function gradeCriterion(c, r) {
+  if (r.state !== "present") return { ...r, credit: CREDIT[r.state] };
+  if (!c.quality) return { ...r, state: "secure", credit: 1 };
+
+  const found = c.quality.facets.filter(f => f.positives.some(re => re.test(r.text)));
+  const lacking = c.quality.facets.filter(f => !found.includes(f));
+  const depth = Math.min(1, found.length / c.quality.secureAt);
+
+  return {
+    ...r,
+    state: depth >= 1 ? "secure" : "developing",
+    credit: 0.5 + 0.5 * depth,
+    lacking: lacking.map(f => f.hint),
+    need: Math.max(0, c.quality.secureAt - found.length)
+  };
+}
+
+/* ---------------- Evidence ---------------- */
+const globalCopies = new WeakMap();
+
+function globalCopy(re) {
+  if (!globalCopies.has(re)) globalCopies.set(re, new RegExp(re.source, "gi"));
+  return globalCopies.get(re);
+}
+
+// text: the accent-folded answer the regexes run on; original: what the learner wrote
+function findSpans(regexes, text, original, ranges, facet) {
+  const spans = [];
+  for (const range of ranges) {
+    const slice = text.slice(range.start, range.end);
+    for (const source of regexes) {
+      const re = globalCopy(source);
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(slice))) {
+        if (!m[0]) {
+          re.lastIndex++;
+          continue;
+        }
+        const start = range.start + m.index;
+        spans.push({ start, end: start + m[0].length, text: original.slice(start, start + m[0].length), facet });
+      }
+    }
+  }
+  return spans;
+}
+
+// Keyword/pattern matches, plus quality-facet matches for stages that were graded on depth
+function collectEvidence(text, original, r) {
+  const c = r.criterion;
+  if (!r.ranges) return { spans: [], weak: false };
+
+  const all = findSpans(c.positives, text, original, r.ranges, null);
+  if (c.quality && (r.state === "secure" || r.state === "developing")) {
+    for (const f of c.quality.facets) all.push(...findSpans(f.positives, text, original, r.ranges, f.hint));
+  }
+
+  // Longest first at each position; drop anything inside a span already kept
+  all.sort((a, b) => a.start - b.start || b.end - a.end);
+  const spans = [];
+  for (const sp of all) {
+    const last = spans[spans.length - 1];
+    if (last && sp.end <= last.end) continue;
+    spans.push(sp);
+  }
+
+  const phrases = new Set(spans.map(sp => text.slice(sp.start, sp.end).toLowerCase()));
+  return { spans, weak: phrases.size === 1 };
+}
+
+function criterionDetail(rubric, r) {
+  const c = r.criterion;
+  const vars = { label: c.label, found: r.found, missing: c.feedback.missing };
+  if (r.state === "secure") {
+    if (!r.lacking?.length) return c.feedback.present;
+    return `${c.feedback.present} ${fill(c.quality.feedback.extend, { ...vars, facets: joinList(r.lacking, rubric.listWords.or) })}`;
+  }
+  if (r.state === "developing") {
+    return fill(c.quality.feedback.developing, { ...vars, facets: describeLacking(r.lacking, r.need, rubric.listWords) });
+  }
+  if (r.state === "empty") return fill(rubric.sectionFeedback.empty, vars);
+  if (r.state === "misplaced") return fill(rubric.sectionFeedback.misplaced, vars);
+  return c.feedback.missing;
+}
+
+function sectionNotes(rubric, results) {
+  const notes = [];
+  const empty = results.filter(r => r.state === "empty").map(r => r.criterion.label);
+  if (empty.length) {
+    notes.push(fill(rubric.sectionFeedback.headingOnly, { labels: empty.join(", ") }));
+  }
+  for (const r of results.filter(x => x.state === "misplaced")) {
+    notes.push(fill(rubric.sectionFeedback.misplaced, { label: r.criterion.label, found: r.found }));
+  }
+  return notes;
+}
+
+// Returns the score/strengths/tags/grid block of a marker result
+export function applyRubric(rubric, answerText) {
+  const original = String(answerText || "");
+  // Same length as the original, so offsets found in it hold for the answer
+  const text = foldAccents(original);
+  const parsed = parseSections(text, rubric.labels);
+
+  const results = rubric.criteria.map(c =>
+    ({ criterion: c, ...gradeCriterion(c, evaluateCriterion(c, parsed, rubric)) }));
+
+  const totalWeight = rubric.criteria.reduce((n, c) => n + c.weight, 0);
+  const earned = results.reduce((n, r) => n + r.credit * r.criterion.weight, 0);
+  const fraction = totalWeight > 0 ? earned / totalWeight : 0;
+
+  const band = rubric.bands.find(b => fraction >= b.min) || rubric.bands[rubric.bands.length - 1];
+
+  const strengths = results
+    .filter(r => (r.state === "secure" || r.state === "developing") && r.criterion.strength)
+    .map(r => r.criterion.strength);
+  if (strengths.length < 2 && rubric.fallbackStrength) strengths.push(rubric.fallbackStrength);
+
+  const tags = results.map(r => criterionTag(r.criterion, r.state));
+  const grid = results.map(r => gridRow(rubric, r.criterion, r.state, criterionDetail(rubric, r)));
+
+  const notes = sectionNotes(rubric, results);
+
+  const evidence = results.map(r => ({
+    id: r.criterion.id,
+    label: r.criterion.label,
+    ...collectEvidence(text, original, r)
+  }));
+
+  return {
+    message: [band.message, ...notes].join("\n"),
+    score: rubric.scoreScale
+      ? Math.round(rubric.scoreScale.floor + (rubric.scoreScale.max - rubric.scoreScale.floor) * fraction)
+      : band.score,
+    maxScore: rubric.maxScore,
+    strengths: strengths.slice(0, rubric.maxStrengths),
+    tags,
+    grid,
+    evidence
+  };
+}
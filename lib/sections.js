@@ -0,0 +1,111 @@
+/* ---------------- Labelled-answer parser ----------------
+   Splits answers written as "Role: … Task: … Context: … Format: …" into
+   per-criterion sections. Labels are recognised at the start of a line or
+   after whitespace/bullets/markdown (e.g. "• Role:", "**Task:**"), so both
+   one-per-line and run-on labelled answers work.
+
+   Anything before the first label, or after a "---" separator line (what
+   "Insert template" puts between the template and existing text), is kept
+   as unlabelled prose.
+   --------------------------------------------------------- */
+
+// Drops accents without changing the length ("teléfono" -> "telefono"), so
+// offsets into the folded text are offsets into the original
+export function foldAccents(text) {
+  let out = "";
+  for (const ch of String(text)) {
+    const base = ch.normalize("NFD").replace(/\p{M}+/gu, "");
+    out += base.length === ch.length ? base : ch;
+  }
+  return out;
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// criteria: [{ id, label, aliases? }] -> { re, byAlias }
+export function compileSectionLabels(criteria) {
+  const byAlias = new Map();
+  for (const c of criteria) {
+    for (const name of [c.label, c.id, ...(c.aliases || [])]) {
+      const key = foldAccents(String(name || "").trim().toLowerCase());
+      if (key && !byAlias.has(key)) byAlias.set(key, c.id);
+    }
+  }
+
+  // Longest first so "target audience" wins over "audience"
+  const alts = [...byAlias.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const re = new RegExp(`(?<=^|[\\s*•#>(\\-])(${alts.join("|")})\\s*\\**\\s*:\\**`, "gim");
+
+  return { re, byAlias };
+}
+
+const SEPARATOR_RE = /^[ \t]*-{3,}[ \t]*$/m;
+
+export function hasContent(text) {
+  return /[\p{L}\p{N}]/u.test(String(text || ""));
+}
+
+// { start, end } of text.slice(start, end) with surrounding whitespace dropped
+function trimmedSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
+/*
+  Returns {
+    labelled: boolean,             // at least one known label found
+    sections: Map<criterionId, string>,   // body text (labels stripped); repeated labels are joined
+    unlabelled: string,            // preamble + text after a "---" separator
+    spans: Map<criterionId, [{ start, end }]>,  // where each section's body sits in answerText
+    looseSpans: [{ start, end }]                // same for the unlabelled text
+  }
+*/
+export function parseSections(answerText, labels) {
+  const text = String(answerText || "");
+  const sections = new Map();
+  const loose = [];
+  const spans = new Map();
+  const looseSpans = [];
+
+  const hits = [];
+  labels.re.lastIndex = 0;
+  let m;
+  while ((m = labels.re.exec(text))) {
+    hits.push({ id: labels.byAlias.get(m[1].toLowerCase()), start: m.index, end: m.index + m[0].length });
+  }
+
+  if (!hits.length) {
+    return { labelled: false, sections, unlabelled: text, spans, looseSpans: [{ start: 0, end: text.length }] };
+  }
+
+  loose.push(text.slice(0, hits[0].start));
+  looseSpans.push(trimmedSpan(text, 0, hits[0].start));
+
+  hits.forEach((h, i) => {
+    let end = i + 1 < hits.length ? hits[i + 1].start : text.length;
+    let body = text.slice(h.end, end);
+
+    const sep = SEPARATOR_RE.exec(body);
+    if (sep) {
+      loose.push(body.slice(sep.index + sep[0].length));
+      looseSpans.push(trimmedSpan(text, h.end + sep.index + sep[0].length, end));
+      body = body.slice(0, sep.index);
+      end = h.end + sep.index;
+    }
+
+    const prev = sections.get(h.id);
+    sections.set(h.id, prev ? `${prev}\n${body.trim()}` : body.trim());
+    spans.set(h.id, [...(spans.get(h.id) || []), trimmedSpan(text, h.end, end)]);
+  });
+
+  return {
+    labelled: true,
+    sections,
+    unlabelled: loose.join("\n").trim(),
+    spans,
+    looseSpans: looseSpans.filter(sp => sp.end > sp.start)
+  };
+}
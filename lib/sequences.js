@@ -0,0 +1,193 @@
+import fs from "fs";
+import path from "path";
+import { format } from "./i18n.js";
+
+/* ---------------- Lesson sequences ----------------
+   Tasks grouped into an ordered sequence, one JSON file per sequence in
+   TASKS_DIR/sequences:
+
+   {
+     "id": "prompting-basics",
+     "title": "Prompting basics",              // or { "en": "…", "es": "…" }
+     "tasks": ["rome-prompt", "…"],             // in order
+     "mastery": { "minScore": 8, "allSecure": true },
+     "remedialAfter": 2,                        // optional, see below
+     "nextLessonUrl": "https://…"               // after the last task (default: that task's own)
+   }
+
+   A task is mastered once a marked attempt reaches minScore (and, with
+   allSecure, has every stage secure). Until then the page isn't given the
+   link to the next task, or after the last one the next lesson. A task in
+   no sequence is a sequence of one with DEFAULT_MASTERY.
+
+   Progress is kept in the session, per task:
+   { best, mastered, misses: { stageId: marked attempts in a row it wasn't secure } }
+   and rebuilt from the learner's stored attempts when a session starts.
+   A stage missed remedialAfter times in a row gets a remedial hint: the
+   criterion's "remedial" text, else its "missing" feedback.
+   ------------------------------------------------ */
+
+export const DEFAULT_MASTERY = { minScore: 8, allSecure: true };
+const DEFAULT_REMEDIAL_AFTER = 2;
+
+function normaliseMastery(raw, where) {
+  const mastery = { ...DEFAULT_MASTERY, ...(raw || {}) };
+  if (!Number.isFinite(mastery.minScore) || mastery.minScore < 0) {
+    throw new Error(`${where} has an invalid mastery.minScore`);
+  }
+  return { minScore: mastery.minScore, allSecure: mastery.allSecure !== false };
+}
+
+function normaliseSequence(raw, fileName, tasks) {
+  const id = String(raw?.id || path.basename(fileName, ".json")).trim();
+  const where = `Sequence "${id}" (${fileName})`;
+
+  const taskIds = (Array.isArray(raw?.tasks) ? raw.tasks : []).map(String);
+  if (!taskIds.length) throw new Error(`${where} has no tasks`);
+  for (const taskId of taskIds) {
+    const task = tasks.get(taskId);
+    if (!task) throw new Error(`${where} lists unknown task "${taskId}"`);
+  }
+  if (new Set(taskIds).size !== taskIds.length) throw new Error(`${where} lists a task twice`);
+
+  const mastery = normaliseMastery(raw.mastery, where);
+  for (const taskId of taskIds) {
+    const max = tasks.get(taskId).rubric.maxScore;
+    if (mastery.minScore > max) throw new Error(`${where} needs ${mastery.minScore}, but "${taskId}" is out of ${max}`);
+  }
+
+  return {
+    id,
+    title: raw.title && typeof raw.title === "object" ? raw.title : String(raw.title || id),
+    tasks: taskIds,
+    mastery,
+    remedialAfter: Number.isInteger(raw.remedialAfter) && raw.remedialAfter > 0 ? raw.remedialAfter : DEFAULT_REMEDIAL_AFTER,
+    nextLessonUrl: String(raw.nextLessonUrl || "")
+  };
+}
+
+// tasks: from loadTasks. Returns sequence id -> sequence; a task may be in one sequence only.
+export function loadSequences(dir, tasks) {
+  const sequences = new Map();
+  const seqDir = path.join(dir, "sequences");
+  if (!fs.existsSync(seqDir)) return sequences;
+
+  const owner = new Map();
+  for (const f of fs.readdirSync(seqDir).filter(f => f.endsWith(".json")).sort()) {
+    const seq = normaliseSequence(JSON.parse(fs.readFileSync(path.join(seqDir, f), "utf8")), f, tasks);
+    if (sequences.has(seq.id)) throw new Error(`Duplicate sequence id "${seq.id}" in ${f}`);
+    for (const taskId of seq.tasks) {
+      if (owner.has(taskId)) throw new Error(`Task "${taskId}" is in both "${owner.get(taskId)}" and "${seq.id}"`);
+      owner.set(taskId, seq.id);
+    }
+    sequences.set(seq.id, seq);
+  }
+  return sequences;
+}
+
+// The task's sequence, or a sequence of one (the task's own next-lesson link comes after it)
+export function sequenceFor(sequences, task) {
+  for (const seq of sequences.values()) if (seq.tasks.includes(task.id)) return seq;
+  return {
+    id: task.id,
+    title: task.title,
+    tasks: [task.id],
+    mastery: normaliseMastery({ minScore: Math.min(DEFAULT_MASTERY.minScore, task.rubric.maxScore) }, `Task "${task.id}"`),
+    remedialAfter: DEFAULT_REMEDIAL_AFTER,
+    nextLessonUrl: ""
+  };
+}
+
+/* ---------------- Progress ---------------- */
+
+// attempt: { gated, score, stages } (a stored attempt, or a result with its tags as stages)
+export function meetsMastery(attempt, mastery) {
+  if (attempt.gated || !Number.isFinite(attempt.score)) return false;
+  if (attempt.score < mastery.minScore) return false;
+  return !mastery.allSecure || (attempt.stages || []).every(s => s.status === "ok");
+}
+
+// A task's progress entry after one more attempt; gated attempts don't count
+export function recordAttempt(entry, attempt, mastery) {
+  const prev = entry || { best: null, mastered: false, misses: {} };
+  if (attempt.gated) return prev;
+
+  const misses = {};
+  for (const s of attempt.stages || []) {
+    if (s.status !== "ok") misses[s.id] = (prev.misses?.[s.id] || 0) + 1;
+  }
+  return {
+    best: prev.best === null ? attempt.score : Math.max(prev.best, attempt.score),
+    mastered: prev.mastered || meetsMastery(attempt, mastery),
+    misses
+  };
+}
+
+// attempts: the learner's stored attempts on one task, oldest first
+export function progressFromAttempts(attempts, mastery) {
+  return attempts.reduce((entry, a) => recordAttempt(entry, a, mastery), null);
+}
+
+// The stage missed most often in a row (rubric order breaks ties), once that's remedialAfter or more
+function remedialHint(task, entry, after, template) {
+  let pick = null;
+  for (const c of task.rubric.criteria) {
+    const n = entry?.misses?.[c.id] || 0;
+    if (n >= after && (!pick || n > pick.misses)) pick = { c, misses: n };
+  }
+  if (!pick) return null;
+  const { c, misses } = pick;
+  return {
+    id: c.id,
+    label: c.label,
+    misses,
+    text: format(template, { label: c.label, n: misses, hint: c.remedial || c.feedback.missing }),
+    guidanceUrl: c.guidanceUrl
+  };
+}
+
+function localText(value, locale) {
+  if (typeof value === "string") return value;
+  return value[locale] || Object.values(value)[0] || "";
+}
+
+/*
+  What the page shows for `task` (localised) in its sequence, given the session's progress
+  ({ taskId: entry }). titleOf(taskId) -> the other tasks' titles in the same language;
+  nextLessonUrlOf(taskId) -> a task's own next-lesson link. The next step's link is
+  only included once the task is mastered.
+*/
+export function sequenceProgress(sequence, progress, { task, locale, titleOf, nextLessonUrlOf, remedialTemplate }) {
+  const at = sequence.tasks.indexOf(task.id);
+  const entry = progress?.[task.id] || null;
+  const mastered = !!entry?.mastered;
+
+  const nextId = sequence.tasks[at + 1];
+  const url = sequence.nextLessonUrl || nextLessonUrlOf(sequence.tasks[sequence.tasks.length - 1]);
+  let next = null;
+  if (nextId) next = mastered ? { unlocked: true, taskId: nextId, title: titleOf(nextId) } : { unlocked: false, title: titleOf(nextId) };
+  else if (url) next = mastered ? { unlocked: true, url } : { unlocked: false };
+
+  return {
+    id: sequence.id,
+    title: localText(sequence.title, locale),
+    position: at + 1,
+    total: sequence.tasks.length,
+    mastery: {
+      ...sequence.mastery,
+      maxScore: task.rubric.maxScore,
+      stages: task.rubric.criteria.length
+    },
+    mastered,
+    best: entry?.best ?? null,
+    steps: sequence.tasks.map(id => ({
+      taskId: id,
+      title: id === task.id ? task.title : titleOf(id),
+      best: progress?.[id]?.best ?? null,
+      mastered: !!progress?.[id]?.mastered,
+      current: id === task.id
+    })),
+    next,
+    remedial: remedialHint(task, entry, sequence.remedialAfter, remedialTemplate)
+  };
+}
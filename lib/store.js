@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/* ---------------- Embedded store ----------------
+   Append-only JSON-lines files in DATA_DIR, one per collection, held in
+   memory once loaded. Every insert/update appends the full record; on load
+   the last line for an id wins. Fine for the volumes a single lesson
+   produces, and needs no database service on Render (mount a disk at
+   DATA_DIR to keep data across deploys).
+   ------------------------------------------------ */
+
+export function newId() {
+  return crypto.randomUUID();
+}
+
+class Collection {
+  constructor(file) {
+    this.file = file;
+    this.docs = new Map();
+
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, "utf8").split("\n");
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const doc = JSON.parse(line);
+          if (doc?.id) this.docs.set(doc.id, doc);
+        } catch {
+          // a torn final write must not stop the server booting
+        }
+      }
+    }
+  }
+
+  write(doc) {
+    fs.appendFileSync(this.file, JSON.stringify(doc) + "\n");
+    this.docs.set(doc.id, doc);
+    return doc;
+  }
+
+  insert(doc) {
+    return this.write({ id: newId(), ...doc });
+  }
+
+  update(id, patch) {
+    const prev = this.docs.get(id);
+    if (!prev) return null;
+    return this.write({ ...prev, ...patch, id });
+  }
+
+  get(id) {
+    return this.docs.get(id) || null;
+  }
+
+  // Insertion order (oldest first)
+  find(predicate = () => true) {
+    return [...this.docs.values()].filter(predicate);
+  }
+}
+
+export function openStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const collections = new Map();
+
+  return {
+    collection(name) {
+      if (!/^[a-z][a-z0-9_-]*$/.test(name)) throw new Error(`Invalid collection name "${name}"`);
+      if (!collections.has(name)) {
+        collections.set(name, new Collection(path.join(dir, `${name}.jsonl`)));
+      }
+      return collections.get(name);
+    }
+  };
+}
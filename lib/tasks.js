@@ -0,0 +1,192 @@
+import fs from "fs";
+import path from "path";
+import { compileRubric } from "./rubric.js";
+import { DEFAULT_INTEGRITY } from "./integrity.js";
+
+/* ---------------- Task registry ----------------
+   One JSON file per exercise in TASKS_DIR (default ./tasks).
+   Long text fields may be written as an array of lines; they are joined
+   with "\n" on load so the files stay readable.
+
+   A task is written in one language ("locale", default: the default
+   locale). Translations live in TASKS_DIR/i18n/<task id>.<locale>.json and
+   hold only LOCALISED_FIELDS. The translated rubric is laid over the
+   task's own: criteria and facets matched by id, bands by position, any
+   other value replaced – so a translation brings its own keywords and
+   patterns, and weights/scores stay the task's.
+
+   Tasks published from the authoring page (lib/authoring.js) replace
+   their file: loadTasks is given the latest published JSON per task id.
+   task.version numbers those publishes (1 for a task only in its file)
+   and task.source keeps the JSON as written, for the editor. A localised
+   task's source is the translation laid over it, which is what the
+   learner page compiles its offline marker from.
+   ------------------------------------------------ */
+
+const TEXT_FIELDS = ["questionText", "templateText", "modelAnswer", "learnMoreText"];
+const LOCALISED_FIELDS = ["title", "targetWords", ...TEXT_FIELDS, "rubric", "preview"];
+
+function joinLines(v) {
+  if (Array.isArray(v)) return v.join("\n");
+  return String(v ?? "");
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Lays a translation over the task's own JSON (see the header comment)
+function overlay(base, over, where) {
+  if (Array.isArray(base) && Array.isArray(over) && base.every(isPlainObject) && over.every(isPlainObject)) {
+    const byId = base.every(b => b.id !== undefined);
+    const out = base.map(b => ({ ...b }));
+    over.forEach((o, i) => {
+      const at = byId ? out.findIndex(b => b.id === o.id) : i;
+      if (at < 0 || at >= out.length) {
+        throw new Error(`${where}: ${byId ? `unknown id "${o.id}"` : `no entry ${i} to translate`}`);
+      }
+      out[at] = overlay(out[at], o, where);
+    });
+    return out;
+  }
+  if (isPlainObject(base) && isPlainObject(over)) {
+    const out = { ...base };
+    for (const [k, v] of Object.entries(over)) out[k] = overlay(base[k], v, where);
+    return out;
+  }
+  return over === undefined ? base : over;
+}
+
+// "Run my prompt" (lib/preview.js): the weak prompt from the question, and
+// sample content ({ name, cost, distance, time }) for the offline stub
+function normalisePreview(raw) {
+  return {
+    weakPrompt: String(raw?.weakPrompt || ""),
+    items: (Array.isArray(raw?.items) ? raw.items : [])
+      .filter(i => i?.name)
+      .map(i => ({
+        name: String(i.name),
+        cost: String(i.cost || ""),
+        distance: String(i.distance || ""),
+        time: String(i.time || "")
+      }))
+  };
+}
+
+function normaliseTask(raw, fileName, i18n, version = 1) {
+  const id = String(raw?.id || path.basename(fileName, ".json")).trim();
+  if (!/^[a-z0-9][a-z0-9-]*$/i.test(id)) {
+    throw new Error(`Invalid task id "${id}" in ${fileName}`);
+  }
+
+  const task = {
+    id,
+    title: String(raw.title || id),
+    accessCode: String(raw.accessCode || ""),
+    minWordsGate: Number.isFinite(raw.minWordsGate) ? raw.minWordsGate : 20,
+    maxWords: Number.isFinite(raw.maxWords) ? raw.maxWords : 200,
+    courseBackUrl: String(raw.courseBackUrl || ""),
+    nextLessonUrl: String(raw.nextLessonUrl || ""),
+    // Payhip product keys/ids whose purchase issues a code for this task
+    payhipProducts: (Array.isArray(raw.payhipProducts) ? raw.payhipProducts : []).map(String),
+    locale: String(raw.locale || i18n.defaultLocale),
+    version,
+    source: raw,
+    translations: new Map() // locale -> LOCALISED_FIELDS and source, see localiseTask
+  };
+  if (!i18n.locales.includes(task.locale)) {
+    throw new Error(`Task "${id}" is in locale "${task.locale}", which has no message catalogue`);
+  }
+  task.rubric = compileRubric(raw.rubric, i18n.catalogue(task.locale).rubric);
+  task.targetWords = String(raw.targetWords || `${task.minWordsGate}–${task.maxWords}`);
+  // Score that counts as passing (embedded pages are told when it's reached); full marks by default
+  task.passScore = Number.isFinite(raw.passScore) ? raw.passScore : task.rubric.maxScore;
+  // Anti-gaming thresholds (see lib/integrity.js); unknown or non-numeric keys are ignored
+  task.integrity = { ...DEFAULT_INTEGRITY };
+  for (const [k, v] of Object.entries(raw.integrity || {})) {
+    if (k in DEFAULT_INTEGRITY && Number.isFinite(v)) task.integrity[k] = v;
+  }
+
+  task.preview = normalisePreview(raw.preview);
+
+  for (const f of TEXT_FIELDS) task[f] = joinLines(raw[f]);
+
+  return task;
+}
+
+// Translation files in TASKS_DIR/i18n: [{ file, taskId, locale, over }]
+function readTranslations(dir) {
+  const i18nDir = path.join(dir, "i18n");
+  if (!fs.existsSync(i18nDir)) return [];
+
+  return fs.readdirSync(i18nDir).filter(f => f.endsWith(".json")).sort().map(f => {
+    const m = /^(.+)\.([^.]+)\.json$/.exec(f);
+    if (!m) throw new Error(`Translation ${f} doesn't match a task (expected <task id>.<locale>.json)`);
+    return { file: f, taskId: m[1], locale: m[2], over: JSON.parse(fs.readFileSync(path.join(i18nDir, f), "utf8")) };
+  });
+}
+
+// raw: the task's own JSON, which the translation is laid over
+function addTranslation(task, raw, { file, locale, over }, i18n) {
+  if (!i18n.locales.includes(locale)) throw new Error(`Translation ${file} is for "${locale}", which has no message catalogue`);
+  if (locale === task.locale) throw new Error(`Translation ${file} is in the task's own locale`);
+
+  const extra = Object.keys(over).filter(k => !LOCALISED_FIELDS.includes(k));
+  if (extra.length) throw new Error(`Translation ${file} has fields that can't be translated: ${extra.join(", ")}`);
+
+  const localised = normaliseTask(
+    { ...overlay(raw, over, `Translation ${file}`), id: task.id, locale },
+    file,
+    i18n
+  );
+  task.translations.set(locale, Object.fromEntries(["locale", "source", ...LOCALISED_FIELDS].map(k => [k, localised[k]])));
+}
+
+/*
+  i18n: from lib/i18n.js, for each locale's rubric defaults.
+  published: task id -> { version, task } (the latest JSON published from
+  the authoring page), replacing the task's file or adding a task.
+*/
+export function loadTasks(dir, i18n, published = new Map()) {
+  const tasks = new Map();
+  const files = fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort();
+
+  for (const f of files) {
+    const raw = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const task = normaliseTask(raw, f, i18n);
+    if (tasks.has(task.id)) {
+      throw new Error(`Duplicate task id "${task.id}" in ${f}`);
+    }
+    tasks.set(task.id, task);
+  }
+  for (const [id, { version, task: raw }] of published) {
+    tasks.set(id, normaliseTask({ ...raw, id }, `${id} (version ${version})`, i18n, version));
+  }
+
+  for (const tr of readTranslations(dir)) {
+    const task = tasks.get(tr.taskId);
+    if (!task) throw new Error(`Translation ${tr.file} doesn't match a task (expected <task id>.<locale>.json)`);
+    addTranslation(task, task.source, tr, i18n);
+  }
+  return tasks;
+}
+
+// One task from JSON that isn't in a file (a draft being authored), with its translation files.
+// Throws on anything loadTasks would refuse.
+export function compileTask(dir, raw, i18n, version = 1) {
+  if (!isPlainObject(raw) || !raw.id) throw new Error("A task needs an id");
+  const task = normaliseTask(raw, `Task "${raw.id}"`, i18n, version);
+  for (const tr of readTranslations(dir).filter(tr => tr.taskId === task.id)) addTranslation(task, raw, tr, i18n);
+  return task;
+}
+
+// Locales a task can be shown in, its own first
+export function taskLocales(task) {
+  return [task.locale, ...task.translations.keys()];
+}
+
+// The task as seen in `locale` (the task itself when there's no translation)
+export function localiseTask(task, locale) {
+  const t = task.translations.get(locale);
+  return t ? { ...task, ...t } : task;
+}
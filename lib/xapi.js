@@ -0,0 +1,226 @@
+import { newId } from "./store.js";
+
+/* ---------------- xAPI ----------------
+   Statements about each marked attempt for the LMS's LRS:
+   - attempted        every /mark call (completion false when under the word minimum
+                      or flagged by the integrity checks)
+   - scored           marked attempts: scaled score + per-stage results
+   - passed | failed  marked attempts, against the task's passScore
+
+   Delivery goes through a durable outbox (a store collection) so a slow or
+   failing LRS never holds up marking. Outbox docs:
+
+   { id, attemptId, statements, status: "pending" | "sent" | "dead",
+     tries, nextAttemptAt (ISO), lastError, createdAt, sentAt }
+
+   Statements carry their own ids, so a retry after a lost response is
+   stored once by the LRS (409 for a duplicate counts as delivered).
+   -------------------------------------- */
+
+const XAPI_VERSION = "1.0.3";
+// Verb display names are the English verb words; everything else is keyed by the attempt's locale
+const VERB_LANG = "en";
+
+const VERBS = {
+  attempted: "http://adlnet.gov/expapi/verbs/attempted",
+  scored: "http://adlnet.gov/expapi/verbs/scored",
+  passed: "http://adlnet.gov/expapi/verbs/passed",
+  failed: "http://adlnet.gov/expapi/verbs/failed"
+};
+const ASSESSMENT_TYPE = "http://adlnet.gov/expapi/activities/assessment";
+
+function verb(name) {
+  return { id: VERBS[name], display: { [VERB_LANG]: name } };
+}
+
+function trimSlash(url) {
+  return String(url).replace(/\/+$/, "");
+}
+
+// learner: { id, email?, name? } — email from a personal access code, else the anonymous learner id
+export function xapiActor(learner, homePage) {
+  const actor = { objectType: "Agent" };
+  if (learner.name) actor.name = learner.name;
+  if (learner.email) actor.mbox = `mailto:${learner.email}`;
+  else actor.account = { homePage: trimSlash(homePage), name: learner.id };
+  return actor;
+}
+
+// activityBase: absolute IRI the task and extension ids hang off (e.g. https://automarker.example.org)
+export function buildStatements({ task, attempt, result, actor, activityBase }) {
+  const base = trimSlash(activityBase);
+  const ext = (name) => `${base}/xapi/extensions/${name}`;
+  const lang = attempt.locale || task.locale; // task is localised to the attempt's locale
+
+  const shared = {
+    actor,
+    object: {
+      objectType: "Activity",
+      id: `${base}/tasks/${encodeURIComponent(task.id)}`,
+      definition: { name: { [lang]: task.title }, type: ASSESSMENT_TYPE }
+    },
+    context: {
+      platform: "FEthink automarker",
+      extensions: { [ext("task-id")]: task.id, [ext("attempt-id")]: attempt.id }
+    },
+    timestamp: attempt.createdAt
+  };
+
+  const statements = [{
+    id: newId(),
+    ...shared,
+    verb: verb("attempted"),
+    result: {
+      completion: !result.gated,
+      extensions: {
+        [ext("word-count")]: result.wordCount,
+        ...(result.integrity ? { [ext("integrity-flag")]: result.integrity.flag } : {})
+      }
+    }
+  }];
+  if (result.gated) return statements;
+
+  const max = task.rubric.maxScore;
+  const score = {
+    scaled: Math.round((result.score / max) * 10000) / 10000,
+    raw: result.score,
+    min: 0,
+    max
+  };
+  const stages = (result.tags || []).map(t => ({ label: t.label, status: t.status }));
+  const passed = result.score >= task.passScore;
+
+  statements.push(
+    {
+      id: newId(),
+      ...shared,
+      verb: verb("scored"),
+      result: {
+        score,
+        completion: true,
+        extensions: { [ext("stages")]: stages, [ext("marker")]: result.marker }
+      }
+    },
+    {
+      id: newId(),
+      ...shared,
+      verb: verb(passed ? "passed" : "failed"),
+      result: {
+        score,
+        success: passed,
+        completion: true,
+        extensions: { [ext("pass-score")]: task.passScore }
+      }
+    }
+  );
+  return statements;
+}
+
+/* ---------------- Outbox ---------------- */
+export function createXapiOutbox(collection, {
+  endpoint,
+  username = "",
+  password = "",
+  maxTries = 10,
+  baseDelaySeconds = 30,
+  maxDelaySeconds = 3600,
+  timeoutMs = 10_000,
+  pollMs = 15_000
+}) {
+  const url = `${trimSlash(endpoint)}/statements`;
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Experience-API-Version": XAPI_VERSION
+  };
+  if (username || password) {
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+  }
+
+  async function send(statements) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(statements),
+        signal: controller.signal
+      });
+      if (!res.ok && res.status !== 409) {
+        const body = (await res.text().catch(() => "")).slice(0, 200);
+        throw new Error(`LRS responded ${res.status}${body ? `: ${body}` : ""}`);
+      }
+    } catch (err) {
+      if (controller.signal.aborted) throw new Error(`LRS timed out after ${timeoutMs}ms`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  let running = false;
+  let again = false;
+
+  // Delivers every due item, oldest first, one at a time
+  async function flush() {
+    if (running) {
+      again = true; // items queued mid-run go out as soon as it finishes
+      return;
+    }
+    running = true;
+    try {
+      const now = Date.now();
+      const due = collection.find(d => d.status === "pending" && Date.parse(d.nextAttemptAt) <= now);
+      for (const doc of due) {
+        try {
+          await send(doc.statements);
+          collection.update(doc.id, { status: "sent", tries: doc.tries + 1, lastError: null, sentAt: new Date().toISOString() });
+        } catch (err) {
+          const tries = doc.tries + 1;
+          const delay = Math.min(maxDelaySeconds, baseDelaySeconds * 2 ** (tries - 1));
+          collection.update(doc.id, {
+            status: tries >= maxTries ? "dead" : "pending",
+            tries,
+            lastError: String(err?.message || err),
+            nextAttemptAt: new Date(Date.now() + delay * 1000).toISOString()
+          });
+          if (tries >= maxTries) console.error(`xAPI: giving up on attempt ${doc.attemptId} after ${tries} tries:`, err?.message || err);
+        }
+      }
+    } finally {
+      running = false;
+    }
+    if (again) {
+      again = false;
+      await flush();
+    }
+  }
+
+  return {
+    enqueue(attemptId, statements) {
+      const doc = collection.insert({
+        attemptId,
+        statements,
+        status: "pending",
+        tries: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        sentAt: null
+      });
+      flush().catch(err => console.error("xAPI flush failed:", err));
+      return doc;
+    },
+
+    // Picks up anything left pending by a previous run, then polls
+    start() {
+      flush().catch(err => console.error("xAPI flush failed:", err));
+      const timer = setInterval(() => {
+        flush().catch(err => console.error("xAPI flush failed:", err));
+      }, pollMs);
+      timer.unref?.();
+    },
+
+    flush
+  };
+}
@@ -0,0 +1,502 @@
+/* =========================================================
+   FEthink — Task authoring
+   - Edits a task's JSON as written (the same shape as tasks/*.json):
+     plain fields and one card per rubric criterion, or the whole
+     thing as JSON
+   - Live check: every edit re-marks the model answer and the sample
+     answers on the server (nothing is saved until Publish)
+   - Publish records a new version; the history lists them all and
+     any of them can be loaded back into the editor
+   Signing in happens on the dashboard (same admin cookie).
+   ========================================================= */
+
+const authMsg = document.getElementById("authMsg");
+const taskPick = document.getElementById("taskPick");
+const duplicateBtn = document.getElementById("duplicateBtn");
+const versionNote = document.getElementById("versionNote");
+
+const taskForm = document.getElementById("taskForm");
+const criteriaWrap = document.getElementById("criteriaWrap");
+const addStageBtn = document.getElementById("addStageBtn");
+const jsonDetails = document.getElementById("jsonDetails");
+const jsonText = document.getElementById("jsonText");
+const applyJsonBtn = document.getElementById("applyJsonBtn");
+
+const checkMsg = document.getElementById("checkMsg");
+const warningsEl = document.getElementById("warnings");
+const modelChecks = document.getElementById("modelChecks");
+const sampleLang = document.getElementById("sampleLang");
+const samplesWrap = document.getElementById("samplesWrap");
+const addSampleBtn = document.getElementById("addSampleBtn");
+
+const publishNote = document.getElementById("publishNote");
+const publishBtn = document.getElementById("publishBtn");
+const downloadBtn = document.getElementById("downloadBtn");
+const publishMsg = document.getElementById("publishMsg");
+const versionsWrap = document.getElementById("versionsWrap");
+
+/* ---------------- Local state ---------------- */
+// The task JSON being edited; the form is laid over it, so fields the form
+// doesn't show (bands, preview items…) are kept as they are
+let draft = null;
+let currentId = "";   // "" while writing a new task
+let baseVersion = 0;  // the version the editor started from (0 for a new task)
+let checkTimer = null;
+let checkSeq = 0;
+
+const NUMBER_FIELDS = ["minWordsGate", "maxWords", "passScore"];
+const TEXT_FIELDS = ["questionText", "templateText", "modelAnswer", "learnMoreText"];
+const CHECK_DELAY_MS = 400;
+
+const NEW_TASK = {
+  id: "",
+  title: "",
+  accessCode: "",
+  minWordsGate: 20,
+  maxWords: 200,
+  questionText: [],
+  templateText: ["Role:", "Task:", "Context:", "Format:"],
+  modelAnswer: [],
+  learnMoreText: [],
+  rubric: {
+    id: "prompt-4-stage",
+    criteria: ["Role", "Task", "Context", "Format"].map(label => ({
+      id: label.toLowerCase(),
+      label,
+      weight: 1,
+      keywords: []
+    })),
+    bands: [
+      { min: 1, score: 10, message: "Excellent – you’ve followed the prompt formula." },
+      { min: 0.5, score: 6, message: "Good – add the missing stages to strengthen it further." },
+      { min: 0, score: 4, message: "Needs improvement – use the formula: role, task, context, format." }
+    ],
+    scoreScale: { floor: 2, max: 10 }
+  }
+};
+
+/* ---------------- Helpers ---------------- */
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function signedOut() {
+  authMsg.style.display = "block";
+}
+
+async function adminFetch(path, options = {}) {
+  const res = await fetch(path, { credentials: "include", ...options });
+  if (res.status === 401) {
+    signedOut();
+    return null;
+  }
+  const data = await res.json();
+  if (data?.error === "admin_disabled") {
+    signedOut();
+    return null;
+  }
+  return data;
+}
+
+function adminPost(path, body) {
+  return adminFetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+}
+
+// Text fields are kept as arrays of lines, as in the task files
+function linesOf(v) {
+  return Array.isArray(v) ? v.join("\n") : String(v ?? "");
+}
+
+function toLines(text) {
+  return text.replace(/\r\n/g, "\n").split("\n");
+}
+
+function listLines(text) {
+  return toLines(text).map(s => s.trim()).filter(Boolean);
+}
+
+/* ---------------- Editor ---------------- */
+function criterionCard(c, i) {
+  const quality = c.quality ? JSON.stringify(c.quality, null, 2) : "";
+  return `<div class="stageCard block" data-index="${i}">
+    <div class="filters">
+      <label>Id <input data-key="id" type="text" value="${escapeHtml(c.id)}" /></label>
+      <label>Label <input data-key="label" type="text" value="${escapeHtml(c.label)}" /></label>
+      <label class="wide">Description <input data-key="description" type="text" value="${escapeHtml(c.description)}" /></label>
+      <label>Weight <input data-key="weight" type="number" min="0" step="any" value="${escapeHtml(c.weight ?? 1)}" /></label>
+      <label class="wide">Guidance URL <input data-key="guidanceUrl" type="url" value="${escapeHtml(c.guidanceUrl)}" /></label>
+      <label class="wide">Keywords <textarea data-key="keywords" class="authorText short">${escapeHtml(linesOf(c.keywords))}</textarea></label>
+      <label class="wide">Heading aliases <textarea data-key="aliases" class="authorText short">${escapeHtml(linesOf(c.aliases))}</textarea></label>
+      <label class="full">Strength <input data-key="strength" type="text" value="${escapeHtml(c.strength)}" /></label>
+      <label class="full">Feedback when present <input data-key="feedback.present" type="text" value="${escapeHtml(c.feedback?.present)}" /></label>
+      <label class="full">Feedback when missing <input data-key="feedback.missing" type="text" value="${escapeHtml(c.feedback?.missing)}" /></label>
+      <label class="full">Remedial hint <textarea data-key="remedial" class="authorText short">${escapeHtml(c.remedial)}</textarea></label>
+      <label class="full">Quality facets (JSON) <textarea data-key="quality" class="authorText short" spellcheck="false">${escapeHtml(quality)}</textarea></label>
+    </div>
+    <div class="filterBtns">
+      <button type="button" class="secondary small" data-remove="${i}">Remove stage</button>
+    </div>
+  </div>`;
+}
+
+function renderCriteria() {
+  criteriaWrap.innerHTML = (draft.rubric?.criteria || []).map(criterionCard).join("");
+}
+
+// task: task JSON; id: the task it's a version of ("" for a new task)
+function loadDraft(task, { id = currentId, version = baseVersion } = {}) {
+  draft = structuredClone(task);
+  if (!draft.rubric) draft.rubric = structuredClone(NEW_TASK.rubric);
+  if (!Array.isArray(draft.rubric.criteria)) draft.rubric.criteria = [];
+  currentId = id;
+  baseVersion = version;
+
+  for (const el of taskForm.elements) {
+    if (!el.name) continue;
+    el.value = TEXT_FIELDS.includes(el.name) ? linesOf(draft[el.name]) : draft[el.name] ?? "";
+  }
+  // An existing task's id is what attempts and links refer to
+  taskForm.elements.id.disabled = !!currentId;
+  renderCriteria();
+  if (jsonDetails.open) jsonText.value = JSON.stringify(draft, null, 2);
+  versionNote.textContent = currentId ? `Editing from version ${baseVersion}.` : "New task: it’s created when you publish it.";
+  scheduleCheck();
+}
+
+// A stage card -> its criterion JSON, over the criterion it was loaded from.
+// Throws (with the stage named) when the quality JSON doesn't parse.
+function readCriterion(card, base) {
+  const c = structuredClone(base || {});
+  for (const el of card.querySelectorAll("[data-key]")) {
+    const key = el.dataset.key;
+    const value = el.value;
+    if (key === "keywords" || key === "aliases") {
+      c[key] = listLines(value);
+    } else if (key === "weight") {
+      c.weight = value === "" ? 1 : Number(value);
+    } else if (key === "quality") {
+      if (!value.trim()) {
+        delete c.quality;
+        continue;
+      }
+      try {
+        c.quality = JSON.parse(value);
+      } catch {
+        throw new Error(`The quality facets of stage "${c.id || card.dataset.index}" aren’t valid JSON.`);
+      }
+    } else if (key.startsWith("feedback.")) {
+      c.feedback = { ...(c.feedback || {}), [key.slice(9)]: value };
+    } else if (value || key in c) {
+      c[key] = value;
+    }
+  }
+  return c;
+}
+
+// The form laid over the draft: the task JSON that would be published
+function readDraft() {
+  const task = structuredClone(draft);
+  for (const el of taskForm.elements) {
+    if (!el.name) continue;
+    const value = el.value;
+    if (TEXT_FIELDS.includes(el.name)) task[el.name] = toLines(value);
+    else if (NUMBER_FIELDS.includes(el.name)) {
+      if (value === "") delete task[el.name];
+      else task[el.name] = Number(value);
+    } else if (value || el.name in task) task[el.name] = value.trim();
+  }
+  const cards = [...criteriaWrap.querySelectorAll(".stageCard")];
+  task.rubric.criteria = cards.map(card => readCriterion(card, draft.rubric.criteria[Number(card.dataset.index)]));
+  return task;
+}
+
+// Keeps draft in step with the form before the cards are re-rendered
+function syncDraft() {
+  try {
+    draft = readDraft();
+    return true;
+  } catch (err) {
+    checkMsg.textContent = err.message;
+    return false;
+  }
+}
+
+addStageBtn.addEventListener("click", () => {
+  if (!syncDraft()) return;
+  draft.rubric.criteria.push({ id: "", label: "", weight: 1, keywords: [] });
+  renderCriteria();
+  scheduleCheck();
+});
+
+criteriaWrap.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-remove]");
+  if (!btn || !syncDraft()) return;
+  draft.rubric.criteria.splice(Number(btn.dataset.remove), 1);
+  renderCriteria();
+  scheduleCheck();
+});
+
+jsonDetails.addEventListener("toggle", () => {
+  if (jsonDetails.open && syncDraft()) jsonText.value = JSON.stringify(draft, null, 2);
+});
+
+applyJsonBtn.addEventListener("click", () => {
+  let task;
+  try {
+    task = JSON.parse(jsonText.value);
+  } catch (err) {
+    checkMsg.textContent = `That isn’t valid JSON: ${err.message}`;
+    return;
+  }
+  // The id of an existing task can't change here (duplicate it instead)
+  if (currentId) task.id = currentId;
+  loadDraft(task);
+});
+
+/* ---------------- Live check ---------------- */
+function sampleBox(text = "") {
+  const wrap = document.createElement("div");
+  wrap.className = "sampleBox block";
+  wrap.innerHTML = `<textarea class="authorText short" placeholder="Paste an answer a learner might write"></textarea>
+    <div class="sampleResult"></div>
+    <div class="filterBtns"><button type="button" class="secondary small" data-remove-sample>Remove</button></div>`;
+  wrap.querySelector("textarea").value = text;
+  samplesWrap.appendChild(wrap);
+}
+
+function tagList(tags) {
+  return (tags || []).map(s => {
+    const symbol = s.status === "ok" ? "✔" : s.status === "mid" ? "◐" : "✗";
+    return `<span class="tag ${escapeHtml(s.status)}"><span class="tagStatus">${symbol}</span>${escapeHtml(s.label)}</span>`;
+  }).join(" ");
+}
+
+function renderSample(el, r) {
+  if (!r) {
+    el.innerHTML = "";
+    return;
+  }
+  if (r.gated) {
+    const why = r.integrity ? `⚑ ${escapeHtml(r.integrity.flag)}` : `Not marked (${escapeHtml(r.wordCount)} words)`;
+    el.innerHTML = `<div class="hint">${why}: ${escapeHtml(r.message)}</div>`;
+    return;
+  }
+  const grid = (r.grid || []).map(row => `<div class="gridRow">
+      <div class="gridName">${escapeHtml(row.label)}</div>
+      <div class="gridStatus">${escapeHtml(row.statusText || "—")}</div>
+      ${row.detail ? `<div class="gridDetail">${escapeHtml(row.detail)}</div>` : ""}
+    </div>`).join("");
+  el.innerHTML = `<div class="feedbackTop block">
+      <strong>${escapeHtml(r.score)}/${escapeHtml(r.maxScore)}</strong>
+      <span class="subtle">${escapeHtml(r.wordCount)} words</span>
+    </div>
+    <div class="tagsRow">${tagList(r.tags)}</div>
+    <div class="grid">${grid}</div>
+    ${r.strengths?.length ? `<ul class="bullets">${r.strengths.map(s => `<li>${escapeHtml(s)}</li>`).join("")}</ul>` : ""}
+    <div class="subtle">${escapeHtml(r.message)}</div>`;
+}
+
+function renderCheck(data) {
+  warningsEl.innerHTML = data.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join("");
+  checkMsg.textContent = data.warnings.length ? "" : "The model answer scores full marks.";
+  modelChecks.innerHTML = data.modelAnswers.map(m =>
+    `<span class="tag ${m.fullMarks ? "ok" : "bad"}" title="Model answer (${escapeHtml(m.locale)})">
+      <span class="tagStatus">${m.fullMarks ? "✔" : "✗"}</span>${escapeHtml(m.locale)} ${escapeHtml(m.score)}/${escapeHtml(m.maxScore)}</span>`).join("");
+
+  const chosen = sampleLang.value;
+  sampleLang.innerHTML = data.locales.map(code => `<option value="${escapeHtml(code)}">${escapeHtml(code)}</option>`).join("");
+  if (data.locales.includes(chosen)) sampleLang.value = chosen;
+
+  const boxes = [...samplesWrap.querySelectorAll(".sampleBox")].filter(b => b.querySelector("textarea").value.trim());
+  boxes.forEach((b, i) => renderSample(b.querySelector(".sampleResult"), data.samples[i]));
+}
+
+async function runCheck() {
+  let task;
+  try {
+    task = readDraft();
+  } catch (err) {
+    checkMsg.textContent = err.message;
+    return;
+  }
+
+  const boxes = [...samplesWrap.querySelectorAll(".sampleBox")];
+  for (const b of boxes) if (!b.querySelector("textarea").value.trim()) renderSample(b.querySelector(".sampleResult"), null);
+  const answers = boxes.map(b => b.querySelector("textarea").value).filter(a => a.trim());
+
+  // Only the latest check's answer is shown
+  const seq = ++checkSeq;
+  try {
+    const data = await adminPost("/api/admin/tasks/check", { task, answers, locale: sampleLang.value });
+    if (!data || seq !== checkSeq) return;
+    if (!data.ok) {
+      warningsEl.innerHTML = "";
+      modelChecks.innerHTML = "";
+      checkMsg.textContent = data.message || "The task can’t be checked.";
+      return;
+    }
+    renderCheck(data);
+  } catch {
+    if (seq === checkSeq) checkMsg.textContent = "Network issue. Please try again.";
+  }
+}
+
+function scheduleCheck() {
+  clearTimeout(checkTimer);
+  checkTimer = setTimeout(runCheck, CHECK_DELAY_MS);
+}
+
+taskForm.addEventListener("input", scheduleCheck);
+criteriaWrap.addEventListener("input", scheduleCheck);
+samplesWrap.addEventListener("input", scheduleCheck);
+sampleLang.addEventListener("change", runCheck);
+
+samplesWrap.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-remove-sample]");
+  if (!btn) return;
+  btn.closest(".sampleBox").remove();
+  scheduleCheck();
+});
+
+addSampleBtn.addEventListener("click", () => sampleBox());
+
+/* ---------------- Versions ---------------- */
+function renderVersions(list) {
+  if (!list.length) {
+    versionsWrap.innerHTML = `<div class="subtle">Not published yet.</div>`;
+    return;
+  }
+  const rows = list.map(v => `<tr>
+    <td>${escapeHtml(v.version)}${v.version === baseVersion ? ` <span class="subtle">(live)</span>` : ""}</td>
+    <td>${v.publishedAt ? escapeHtml(new Date(v.publishedAt).toLocaleString()) : "—"}</td>
+    <td>${v.source === "file" ? "Task file" : "Published here"}</td>
+    <td>${escapeHtml(v.note || "—")}</td>
+    <td><button class="secondary small" data-version="${escapeHtml(v.version)}">Load into editor</button></td>
+  </tr>`).join("");
+
+  versionsWrap.innerHTML = `<table class="dataTable">
+    <thead><tr><th>Version</th><th>Published</th><th>From</th><th>What changed</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+// An older version goes into the editor on top of the live one: publishing it restores it as a new version
+versionsWrap.addEventListener("click", async (e) => {
+  const btn = e.target.closest("[data-version]");
+  if (!btn) return;
+  const data = await adminFetch(`/api/admin/tasks/${encodeURIComponent(currentId)}/versions/${encodeURIComponent(btn.dataset.version)}`);
+  if (!data?.ok) return;
+  loadDraft(data.version.task);
+  publishMsg.textContent = `Version ${data.version.version} loaded. Publish it to make it live again.`;
+});
+
+/* ---------------- Loading ---------------- */
+async function loadTaskList(selected = taskPick.value) {
+  const data = await adminFetch("/api/admin/tasks");
+  if (!data?.ok) return;
+  taskPick.innerHTML = `<option value="">New task</option>` + data.tasks.map(t => {
+    const label = t.title === t.id ? t.id : `${t.title} (${t.id})`;
+    return `<option value="${escapeHtml(t.id)}">${escapeHtml(label)} – v${escapeHtml(t.version)}</option>`;
+  }).join("");
+  taskPick.value = selected;
+}
+
+async function openTask(id) {
+  publishMsg.textContent = "";
+  publishNote.value = "";
+  if (!id) {
+    loadDraft(NEW_TASK, { id: "", version: 0 });
+    renderVersions([]);
+    return;
+  }
+  const data = await adminFetch(`/api/admin/tasks/${encodeURIComponent(id)}`);
+  if (!data?.ok) return;
+  loadDraft(data.task, { id, version: data.version });
+  renderVersions(data.versions);
+}
+
+taskPick.addEventListener("change", () => openTask(taskPick.value));
+
+duplicateBtn.addEventListener("click", () => {
+  if (!syncDraft()) return;
+  const copy = { ...draft, id: "", accessCode: "", payhipProducts: [], title: draft.title ? `${draft.title} (copy)` : "" };
+  taskPick.value = "";
+  loadDraft(copy, { id: "", version: 0 });
+  renderVersions([]);
+  taskForm.elements.id.focus();
+});
+
+/* ---------------- Publish ---------------- */
+publishBtn.addEventListener("click", async () => {
+  let task;
+  try {
+    task = readDraft();
+  } catch (err) {
+    publishMsg.textContent = err.message;
+    return;
+  }
+  if (!task.id) {
+    publishMsg.textContent = "Give the task an id first.";
+    return;
+  }
+
+  publishBtn.disabled = true;
+  publishMsg.textContent = "Publishing…";
+  try {
+    const data = await adminPost("/api/admin/tasks", { task, note: publishNote.value.trim(), baseVersion });
+    if (!data) return;
+    if (data.error === "version_conflict") {
+      publishMsg.textContent = currentId
+        ? `Version ${data.version} was published while you were editing. Download your JSON, then reload the task.`
+        : `A task with the id "${task.id}" already exists. Choose another id.`;
+      return;
+    }
+    if (!data.ok) {
+      publishMsg.textContent = data.message || "Could not publish the task.";
+      return;
+    }
+    currentId = data.task.id;
+    baseVersion = data.task.version;
+    draft = task;
+    taskForm.elements.id.disabled = true;
+    publishNote.value = "";
+    publishMsg.textContent = `Published version ${data.task.version} of ${data.task.id}. New attempts are marked with it.`;
+    versionNote.textContent = `Editing from version ${baseVersion}.`;
+    renderVersions(data.versions);
+    await loadTaskList(currentId);
+  } catch {
+    publishMsg.textContent = "Network issue. Please try again.";
+  } finally {
+    publishBtn.disabled = false;
+  }
+});
+
+// Saves the draft as a task file, e.g. to commit it to tasks/
+downloadBtn.addEventListener("click", () => {
+  let task;
+  try {
+    task = readDraft();
+  } catch (err) {
+    publishMsg.textContent = err.message;
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([`${JSON.stringify(task, null, 2)}\n`], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${task.id || "task"}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+});
+
+/* ---------------- Initial load ---------------- */
+sampleBox();
+loadTaskList().then(() => openTask(""));
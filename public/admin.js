@@ -0,0 +1,486 @@
+/* =========================================================
+   FEthink — Instructor dashboard
+   - Admin password gate -> signed httpOnly admin cookie
+   - Cohort stats, answer browser and CSV export, all driven by the
+     same filter form (filters map 1:1 onto /api/admin/* query params)
+   - Personal access codes: issue, search, revoke
+   - Batch marking: upload answers from elsewhere, see the summary,
+     download every row's feedback as CSV
+   - Tasks are written and published on admin-tasks.html
+   ========================================================= */
+
+const gateEl = document.getElementById("gate");
+const passwordInput = document.getElementById("passwordInput");
+const loginBtn = document.getElementById("loginBtn");
+const gateMsg = document.getElementById("gateMsg");
+const logoutBtn = document.getElementById("logoutBtn");
+const exportBtn = document.getElementById("exportBtn");
+
+const filtersEl = document.getElementById("filters");
+const taskSelect = document.getElementById("taskSelect");
+const stageSelect = document.getElementById("stageSelect");
+
+const mAttempts = document.getElementById("mAttempts");
+const mLearners = document.getElementById("mLearners");
+const mAverage = document.getElementById("mAverage");
+const mGated = document.getElementById("mGated");
+const mFlagged = document.getElementById("mFlagged");
+const mFlaggedNote = document.getElementById("mFlaggedNote");
+const mToFull = document.getElementById("mToFull");
+const mToFullNote = document.getElementById("mToFullNote");
+
+const stageBars = document.getElementById("stageBars");
+const scoreBars = document.getElementById("scoreBars");
+const timeBars = document.getElementById("timeBars");
+
+const issueForm = document.getElementById("issueForm");
+const issueTask = document.getElementById("issueTask");
+const issueMsg = document.getElementById("issueMsg");
+const codeSearch = document.getElementById("codeSearch");
+const codeSearchBtn = document.getElementById("codeSearchBtn");
+const codesWrap = document.getElementById("codesWrap");
+
+const batchForm = document.getElementById("batchForm");
+const batchTask = document.getElementById("batchTask");
+const batchLang = document.getElementById("batchLang");
+const batchFile = document.getElementById("batchFile");
+const batchMsg = document.getElementById("batchMsg");
+const batchResult = document.getElementById("batchResult");
+const batchesWrap = document.getElementById("batchesWrap");
+
+const tableWrap = document.getElementById("tableWrap");
+const prevPage = document.getElementById("prevPage");
+const nextPage = document.getElementById("nextPage");
+const pageInfo = document.getElementById("pageInfo");
+
+/* ---------------- Local state ---------------- */
+let page = 1;
+let totalPages = 1;
+const taskLocales = new Map(); // task id -> locales it can be marked in
+
+/* ---------------- Helpers ---------------- */
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function showGate(message = "") {
+  gateEl.style.display = "flex";
+  gateMsg.textContent = message;
+  passwordInput.focus();
+}
+
+function hideGate() {
+  gateEl.style.display = "none";
+}
+
+function filterParams() {
+  const params = new URLSearchParams();
+  for (const [k, v] of new FormData(filtersEl)) {
+    if (String(v).trim()) params.set(k, String(v).trim());
+  }
+  return params;
+}
+
+async function adminFetch(path) {
+  const res = await fetch(path, { credentials: "include" });
+  if (res.status === 401) {
+    showGate("Please sign in.");
+    return null;
+  }
+  if (res.status === 404) {
+    showGate("The dashboard is not enabled on this server (ADMIN_PASSWORD is not set).");
+    return null;
+  }
+  return res.json();
+}
+
+/* ---------------- Rendering ---------------- */
+// rows: [{ label, value, max, text }]
+function barList(rows) {
+  if (!rows.length) return `<div class="subtle">No data for these filters.</div>`;
+  return rows.map(r => {
+    const pct = r.max > 0 ? Math.round((r.value / r.max) * 100) : 0;
+    return `<div class="barRow">
+      <div class="barLabel">${escapeHtml(r.label)}</div>
+      <div class="barTrack"><div class="barFill" style="width:${pct}%"></div></div>
+      <div class="barValue">${escapeHtml(r.text ?? r.value)}</div>
+    </div>`;
+  }).join("");
+}
+
+// Integrity flags (lib/integrity.js): the attempt was not marked
+const FLAG_LABELS = {
+  model_answer: "Model answer pasted",
+  worked_example: "Worked example pasted",
+  keyword_list: "Keyword list",
+  template: "Template only"
+};
+
+function renderStats(stats) {
+  mAttempts.textContent = String(stats.totalAttempts);
+  mLearners.textContent = String(stats.learners);
+  mAverage.textContent = stats.averageScore === null ? "—" : String(stats.averageScore);
+  mGated.textContent = `${stats.gatedRatePct}%`;
+  mFlagged.textContent = `${stats.flaggedRatePct}%`;
+  mFlaggedNote.textContent = Object.entries(stats.flags).map(([f, n]) => `${FLAG_LABELS[f] || f}: ${n}`).join(", ");
+  mToFull.textContent = stats.fullMarks.averageAttempts === null ? "—" : String(stats.fullMarks.averageAttempts);
+  mToFullNote.textContent = `${stats.fullMarks.reached} of ${stats.fullMarks.learnerRuns} learner(s) reached full marks`;
+
+  stageBars.innerHTML = barList(stats.stages.flatMap(s => [
+    { label: `${s.label} – missing`, value: s.missingPct, max: 100, text: `${s.missingPct}%` },
+    { label: `${s.label} – developing`, value: s.developingPct, max: 100, text: `${s.developingPct}%` }
+  ]));
+
+  const maxCount = Math.max(0, ...stats.scoreDistribution.map(d => d.count));
+  scoreBars.innerHTML = barList(stats.scoreDistribution.map(d => ({ label: `${d.score}/${d.maxScore}`, value: d.count, max: maxCount })));
+
+  const maxDay = Math.max(0, ...stats.attemptsOverTime.map(d => d.count));
+  timeBars.innerHTML = barList(stats.attemptsOverTime.map(d => ({ label: d.day, value: d.count, max: maxDay })));
+
+  // Stage filter options follow whatever rubric the data uses
+  const current = stageSelect.value;
+  stageSelect.innerHTML = `<option value="">Any</option>` +
+    stats.stages.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.label)}</option>`).join("");
+  stageSelect.value = current;
+}
+
+function scoreCell(a) {
+  if (a.integrity) return `<span class="tag bad">⚑ ${escapeHtml(FLAG_LABELS[a.integrity.flag] || a.integrity.flag)}</span>`;
+  return a.gated ? "—" : escapeHtml(a.score);
+}
+
+function stageCell(stages) {
+  if (!Array.isArray(stages)) return "—";
+  return stages.map(s => {
+    const symbol = s.status === "ok" ? "✔" : s.status === "mid" ? "◐" : "✗";
+    return `<span class="tag ${escapeHtml(s.status)}"><span class="tagStatus">${symbol}</span>${escapeHtml(s.label)}</span>`;
+  }).join(" ");
+}
+
+function renderAttempts(data) {
+  totalPages = Math.max(1, Math.ceil(data.total / data.pageSize));
+  pageInfo.textContent = `Page ${data.page} of ${totalPages} (${data.total} answers)`;
+  prevPage.disabled = data.page <= 1;
+  nextPage.disabled = data.page >= totalPages;
+
+  if (!data.attempts.length) {
+    tableWrap.innerHTML = `<div class="subtle">No answers match these filters.</div>`;
+    return;
+  }
+
+  const rows = data.attempts.map(a => `<tr>
+    <td>${escapeHtml(new Date(a.createdAt).toLocaleString())}</td>
+    <td>${escapeHtml(a.taskId)}${a.taskVersion ? ` <span class="subtle">v${escapeHtml(a.taskVersion)}</span>` : ""}</td>
+    <td title="${escapeHtml(a.learnerId)}">${escapeHtml(String(a.learnerId).slice(0, 8))}</td>
+    <td>${scoreCell(a)}</td>
+    <td>${escapeHtml(a.wordCount)}</td>
+    <td class="tagsCell">${stageCell(a.stages)}</td>
+    <td><details><summary>${escapeHtml(String(a.answerText).slice(0, 60))}…</summary><pre class="modelAnswer">${escapeHtml(a.answerText)}</pre></details></td>
+  </tr>`).join("");
+
+  tableWrap.innerHTML = `<table class="dataTable">
+    <thead><tr><th>When</th><th>Task</th><th>Learner</th><th>Score</th><th>Words</th><th>Stages</th><th>Answer</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+/* ---------------- Loading ---------------- */
+async function loadTasks(tasks) {
+  if (taskSelect.options.length > 1) return;
+  for (const t of tasks) {
+    const label = t.title === t.id ? t.id : `${t.title} (${t.id})`;
+    taskLocales.set(t.id, t.locales || []);
+    for (const select of [taskSelect, issueTask, batchTask]) {
+      const opt = document.createElement("option");
+      opt.value = t.id;
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+  }
+  fillBatchLangs();
+}
+
+async function refresh() {
+  const params = filterParams();
+  exportBtn.href = `/api/admin/attempts.csv?${params}`;
+
+  const stats = await adminFetch(`/api/admin/stats?${params}`);
+  if (!stats?.ok) return;
+  hideGate();
+  loadTasks(stats.tasks);
+  renderStats(stats.stats);
+
+  params.set("page", String(page));
+  const list = await adminFetch(`/api/admin/attempts?${params}`);
+  if (list?.ok) renderAttempts(list);
+
+  await loadCodes();
+  await loadBatches();
+}
+
+/* ---------------- Access codes ---------------- */
+function codeState(c) {
+  if (c.revokedAt) return "Revoked";
+  if (c.expiresAt && Date.now() >= Date.parse(c.expiresAt)) return "Expired";
+  if (c.maxUses > 0 && c.uses >= c.maxUses) return "Used up";
+  return "Active";
+}
+
+function renderCodes(list) {
+  if (!list.length) {
+    codesWrap.innerHTML = `<div class="subtle">No codes found.</div>`;
+    return;
+  }
+  const rows = list.map(c => `<tr>
+    <td><code>${escapeHtml(c.code)}</code></td>
+    <td>${escapeHtml(c.taskId)}</td>
+    <td>${escapeHtml(c.email || "—")}${c.name ? `<div class="subtle">${escapeHtml(c.name)}</div>` : ""}</td>
+    <td>${escapeHtml(c.source)}${c.saleId ? `<div class="subtle">${escapeHtml(c.saleId)}</div>` : ""}</td>
+    <td>${escapeHtml(c.uses)}${c.maxUses ? ` / ${escapeHtml(c.maxUses)}` : ""}</td>
+    <td>${c.expiresAt ? escapeHtml(new Date(c.expiresAt).toLocaleDateString()) : "—"}</td>
+    <td>${codeState(c)}</td>
+    <td>${c.revokedAt ? "" : `<button class="secondary small" data-revoke="${escapeHtml(c.id)}">Revoke</button>`}</td>
+  </tr>`).join("");
+
+  codesWrap.innerHTML = `<table class="dataTable">
+    <thead><tr><th>Code</th><th>Task</th><th>Learner</th><th>Source</th><th>Uses</th><th>Expires</th><th>State</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+async function loadCodes() {
+  const params = new URLSearchParams();
+  if (codeSearch.value.trim()) params.set("q", codeSearch.value.trim());
+  const data = await adminFetch(`/api/admin/codes?${params}`);
+  if (data?.ok) renderCodes(data.codes);
+}
+
+async function adminPost(path, body = {}) {
+  const res = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(body)
+  });
+  if (res.status === 401) {
+    showGate("Please sign in.");
+    return null;
+  }
+  return res.json();
+}
+
+issueForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const body = Object.fromEntries(new FormData(issueForm));
+  const data = await adminPost("/api/admin/codes", body);
+  if (!data) return;
+  if (!data.ok) {
+    issueMsg.textContent = "Could not issue a code.";
+    return;
+  }
+  issueMsg.textContent = `Issued ${data.code.code} for ${data.code.taskId}.`;
+  issueForm.reset();
+  await loadCodes();
+});
+
+codeSearchBtn.addEventListener("click", loadCodes);
+codeSearch.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") loadCodes();
+});
+
+codesWrap.addEventListener("click", async (e) => {
+  const btn = e.target.closest("[data-revoke]");
+  if (!btn) return;
+  if (!confirm("Revoke this code? The learner will be signed out and can’t use it again.")) return;
+  await adminPost(`/api/admin/codes/${encodeURIComponent(btn.dataset.revoke)}/revoke`);
+  await loadCodes();
+});
+
+/* ---------------- Batch marking ---------------- */
+function fillBatchLangs() {
+  batchLang.innerHTML = (taskLocales.get(batchTask.value) || [])
+    .map(code => `<option value="${escapeHtml(code)}">${escapeHtml(code)}</option>`)
+    .join("");
+}
+
+function batchScoreCell(r) {
+  if (r.integrityFlag) return `<span class="tag bad">⚑ ${escapeHtml(FLAG_LABELS[r.integrityFlag] || r.integrityFlag)}</span>`;
+  return r.gated ? "—" : `${escapeHtml(r.score)}/${escapeHtml(r.maxScore)}`;
+}
+
+function renderBatch(batch, rows, total) {
+  const s = batch.summary;
+  const rowsHtml = rows.map(r => `<tr>
+    <td>${escapeHtml(r.row)}</td>
+    <td>${escapeHtml(r.ref || "—")}</td>
+    <td>${batchScoreCell(r)}</td>
+    <td>${escapeHtml(r.wordCount)}</td>
+    <td class="tagsCell">${stageCell(r.stages)}</td>
+    <td><details><summary>${escapeHtml(r.message.split("\n")[0] || "Feedback")}</summary>
+      ${r.strengths.length ? `<ul class="bullets">${r.strengths.map(x => `<li>${escapeHtml(x)}</li>`).join("")}</ul>` : ""}
+      <pre class="modelAnswer">${escapeHtml(r.answerText)}</pre></details></td>
+  </tr>`).join("");
+
+  batchResult.innerHTML = `<div class="metricsRow block">
+      <div class="metric"><div class="metricLabel">Answers</div><div class="metricValue">${escapeHtml(s.rows)}</div></div>
+      <div class="metric"><div class="metricLabel">Marked</div><div class="metricValue">${escapeHtml(s.marked)}</div></div>
+      <div class="metric"><div class="metricLabel">Average score</div><div class="metricValue">${s.averageScore === null ? "—" : escapeHtml(s.averageScore)}</div></div>
+      <div class="metric"><div class="metricLabel">Full marks</div><div class="metricValue">${escapeHtml(s.fullMarks)}</div></div>
+      <div class="metric"><div class="metricLabel">Too short</div><div class="metricValue">${escapeHtml(s.gated)}</div></div>
+      <div class="metric"><div class="metricLabel">Not their own words</div><div class="metricValue">${escapeHtml(s.flagged)}</div></div>
+    </div>
+    <div class="bars">${barList(s.stages.map(st => ({ label: `${st.label} – missing`, value: st.missingPct, max: 100, text: `${st.missingPct}%` })))}</div>
+    <div class="filterBtns block">
+      <a class="linkBtn" href="/api/admin/batches/${encodeURIComponent(batch.id)}/results.csv">Download results (CSV)</a>
+      <span class="subtle">${rows.length < total ? `Showing the first ${rows.length} of ${total} answers.` : ""}</span>
+    </div>
+    <div class="tableWrap"><table class="dataTable">
+      <thead><tr><th>Row</th><th>Ref</th><th>Score</th><th>Words</th><th>Stages</th><th>Feedback</th></tr></thead>
+      <tbody>${rowsHtml}</tbody>
+    </table></div>`;
+}
+
+function renderBatches(list) {
+  if (!list.length) {
+    batchesWrap.innerHTML = `<div class="subtle">No batches yet.</div>`;
+    return;
+  }
+  const rows = list.map(b => `<tr>
+    <td>${escapeHtml(new Date(b.createdAt).toLocaleString())}</td>
+    <td>${escapeHtml(b.taskId)} <span class="subtle">${escapeHtml(b.locale)}</span></td>
+    <td>${escapeHtml(b.fileName || "—")}</td>
+    <td>${escapeHtml(b.summary.rows)}</td>
+    <td>${b.summary.averageScore === null ? "—" : escapeHtml(b.summary.averageScore)}</td>
+    <td><button class="secondary small" data-batch="${escapeHtml(b.id)}">View</button>
+      <a class="linkBtn" href="/api/admin/batches/${encodeURIComponent(b.id)}/results.csv">CSV</a></td>
+  </tr>`).join("");
+
+  batchesWrap.innerHTML = `<table class="dataTable">
+    <thead><tr><th>When</th><th>Task</th><th>File</th><th>Answers</th><th>Average</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+async function loadBatches() {
+  const data = await adminFetch("/api/admin/batches");
+  if (data?.ok) renderBatches(data.batches);
+}
+
+batchTask.addEventListener("change", fillBatchLangs);
+
+batchForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const file = batchFile.files[0];
+  if (!file) {
+    batchMsg.textContent = "Choose a CSV or JSON file first.";
+    return;
+  }
+
+  const isJson = /\.json$/i.test(file.name) || file.type === "application/json";
+  const params = new URLSearchParams({ lang: batchLang.value, file: file.name });
+  batchMsg.textContent = "Marking…";
+  batchResult.innerHTML = "";
+  try {
+    // The file is sent as-is; the server reads and marks it row by row
+    const res = await fetch(`/api/admin/tasks/${encodeURIComponent(batchTask.value)}/batches?${params}`, {
+      method: "POST",
+      headers: { "Content-Type": isJson ? "application/json" : "text/csv" },
+      credentials: "include",
+      body: file
+    });
+    if (res.status === 401) {
+      showGate("Please sign in.");
+      return;
+    }
+    const data = await res.json();
+    if (!data?.ok) {
+      batchMsg.textContent = data?.message || (data?.error === "no_rows" ? "The file has no answers." : "Could not mark that file.");
+      return;
+    }
+    batchMsg.textContent = `Marked ${data.batch.summary.rows} answer(s) from ${data.batch.fileName || "the upload"}.`;
+    renderBatch(data.batch, data.rows, data.batch.summary.rows);
+    batchForm.reset();
+    fillBatchLangs();
+    await loadBatches();
+  } catch {
+    batchMsg.textContent = "Network issue. Please try again.";
+  }
+});
+
+batchesWrap.addEventListener("click", async (e) => {
+  const btn = e.target.closest("[data-batch]");
+  if (!btn) return;
+  const data = await adminFetch(`/api/admin/batches/${encodeURIComponent(btn.dataset.batch)}`);
+  if (!data?.ok) return;
+  batchMsg.textContent = "";
+  renderBatch(data.batch, data.rows, data.total);
+});
+
+/* ---------------- Sign in / out ---------------- */
+async function login() {
+  const password = passwordInput.value;
+  if (!password) {
+    gateMsg.textContent = "Please enter the admin password.";
+    return;
+  }
+
+  loginBtn.disabled = true;
+  gateMsg.textContent = "Checking…";
+  try {
+    const res = await fetch("/api/admin/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ password })
+    });
+    const data = await res.json();
+    if (!res.ok || !data?.ok) {
+      gateMsg.textContent = data?.error === "admin_disabled"
+        ? "The dashboard is not enabled on this server."
+        : "That password didn’t work.";
+      return;
+    }
+    passwordInput.value = "";
+    await refresh();
+  } catch {
+    gateMsg.textContent = "Network issue. Please try again.";
+  } finally {
+    loginBtn.disabled = false;
+  }
+}
+
+loginBtn.addEventListener("click", login);
+passwordInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") login();
+});
+
+logoutBtn.addEventListener("click", async () => {
+  await fetch("/api/admin/logout", { method: "POST", credentials: "include" }).catch(() => {});
+  showGate();
+});
+
+/* ---------------- Filters + paging ---------------- */
+filtersEl.addEventListener("submit", (e) => {
+  e.preventDefault();
+  page = 1;
+  refresh();
+});
+filtersEl.addEventListener("reset", () => {
+  page = 1;
+  setTimeout(refresh, 0);
+});
+prevPage.addEventListener("click", () => {
+  if (page > 1) { page--; refresh(); }
+});
+nextPage.addEventListener("click", () => {
+  if (page < totalPages) { page++; refresh(); }
+});
+
+/* ---------------- Initial load ---------------- */
+hideGate();
+refresh();
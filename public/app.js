@@ -1,37 +1,86 @@
 /* =========================================================
    FEthink — AI Prompting Automarker (Level 1)
+   - Task picked from the URL (?task=<id>), server default otherwise
    - Access code gate -> signed httpOnly cookie session
    - Marking rules:
        <20 words: "Please add..." only; no score; no extras; no model answer
-       >=20 words: score + strengths + tags + grid + improvement notes
+       >=20 words: score + strengths + tags + grid + improvement notes,
+         one tag/grid row per criterion the server returns (no fixed rubric here)
        + optional Learn more framework tabs (collapsed by default)
        + model answer (collapsed) shown only when server returns it
    - Target length shown: 20-200 words
+   - Attempts are saved server-side; the history strip reloads past answers
+   - Session checked on load (no gate if still valid), renewed while typing,
+     warning before expiry; the draft survives re-entering the code
+   - POSTs carry the CSRF token from /config; when embedded, the parent
+     page gets a postMessage once the learner reaches the pass score
+   - Every string on the page comes from the server's catalogue for the
+     task's language (?lang=<code>, else the browser's languages)
+   - The server's own marker (lib/marker.js, served from /lib) also runs
+     here: a live checklist of the stages found while typing, and with no
+     network the answer is marked in the browser, queued and saved once
+     back online (offline.js, sw.js). The server marks it again on saving.
    ========================================================= */
 
+import { wordCount, markPromptingResponse } from "/lib/marker.js";
+import { compileRubric, applyRubric } from "/lib/rubric.js";
+import { format, createI18n } from "/lib/messages.js";
+import { registerServiceWorker, createOfflineStore } from "./offline.js";
+
 const gateEl = document.getElementById("gate");
 const codeInput = document.getElementById("codeInput");
 const unlockBtn = document.getElementById("unlockBtn");
 const gateMsg = document.getElementById("gateMsg");
+const gatePrevious = document.getElementById("gatePrevious");
+
+const titleEls = document.querySelectorAll("[data-task-title]");
 
 const backToCourse = document.getElementById("backToCourse");
 const nextLesson = document.getElementById("nextLesson");
+const signOutBtn = document.getElementById("signOutBtn");
+const langSelect = document.getElementById("langSelect");
+
+// Lesson sequence
+const sequenceBar = document.getElementById("sequenceBar");
+const sequenceTitle = document.getElementById("sequenceTitle");
+const sequenceStep = document.getElementById("sequenceStep");
+const sequenceSteps = document.getElementById("sequenceSteps");
+const sequenceRule = document.getElementById("sequenceRule");
+
+// Session expiry warning
+const sessionWarning = document.getElementById("sessionWarning");
+const sessionWarningText = document.getElementById("sessionWarningText");
+const staySignedInBtn = document.getElementById("staySignedInBtn");
 
 const questionTextEl = document.getElementById("questionText");
-const targetWordsEl = document.getElementById("targetWords");
-const minGateEl = document.getElementById("minGate");
 
 const insertTemplateBtn = document.getElementById("insertTemplateBtn");
 const clearBtn = document.getElementById("clearBtn");
 const answerTextEl = document.getElementById("answerText");
 
 const submitBtn = document.getElementById("submitBtn");
+const previewBtn = document.getElementById("previewBtn");
 const wordCountBox = document.getElementById("wordCountBox");
 
+// Live checklist + offline status
+const checklistWrap = document.getElementById("checklistWrap");
+const checklistTags = document.getElementById("checklistTags");
+const offlineStatus = document.getElementById("offlineStatus");
+
 const scoreBig = document.getElementById("scoreBig");
 const wordCountBig = document.getElementById("wordCountBig");
 const feedbackBox = document.getElementById("feedbackBox");
 
+// Attempt history
+const historyWrap = document.getElementById("historyWrap");
+const historyStrip = document.getElementById("historyStrip");
+
+// Revision (comparison with previous attempt)
+const revisionWrap = document.getElementById("revisionWrap");
+const revisionSummary = document.getElementById("revisionSummary");
+const revisionStages = document.getElementById("revisionStages");
+const revisionDiff = document.getElementById("revisionDiff");
+
 // NEW: Strengths / Tags / Grid
 const strengthsWrap = document.getElementById("strengthsWrap");
 const strengthsList = document.getElementById("strengthsList");
@@ -40,11 +89,29 @@ const tagsWrap = document.getElementById("tagsWrap");
 const tagsRow = document.getElementById("tagsRow");
 
 const gridWrap = document.getElementById("gridWrap");
-const gEthical = document.getElementById("gEthical");
-const gImpact = document.getElementById("gImpact");
-const gLegal = document.getElementById("gLegal");
-const gRecs = document.getElementById("gRecs");
-const gStructure = document.getElementById("gStructure");
+const gridRows = document.getElementById("gridRows");
+
+// Completion certificate
+const certificateWrap = document.getElementById("certificateWrap");
+const certificateForm = document.getElementById("certificateForm");
+const certificateName = document.getElementById("certificateName");
+const certificateBtn = document.getElementById("certificateBtn");
+const certificateIssued = document.getElementById("certificateIssued");
+const certificateOpen = document.getElementById("certificateOpen");
+const certificateDownload = document.getElementById("certificateDownload");
+const certificateVerify = document.getElementById("certificateVerify");
+const certificateMsg = document.getElementById("certificateMsg");
+
+// Remedial hint
+const remedialWrap = document.getElementById("remedialWrap");
+const remedialHeading = document.getElementById("remedialHeading");
+const remedialText = document.getElementById("remedialText");
+const remedialLink = document.getElementById("remedialLink");
+
+// Evidence (answer with matched words highlighted)
+const evidenceWrap = document.getElementById("evidenceWrap");
+const evidenceLegend = document.getElementById("evidenceLegend");
+const evidenceText = document.getElementById("evidenceText");
 
 // Learn more panel
 const learnMoreWrap = document.getElementById("learnMoreWrap");
@@ -56,15 +123,118 @@ const learnMoreText = document.getElementById("learnMoreText"); // ✅ ADDED
 const modelWrap = document.getElementById("modelWrap");
 const modelAnswerEl = document.getElementById("modelAnswer");
 
+// "Run my prompt" preview
+const previewWrap = document.getElementById("previewWrap");
+const previewMsg = document.getElementById("previewMsg");
+const previewBody = document.getElementById("previewBody");
+const previewWeakPrompt = document.getElementById("previewWeakPrompt");
+const previewWeakOutput = document.getElementById("previewWeakOutput");
+const previewYourPrompt = document.getElementById("previewYourPrompt");
+const previewYourOutput = document.getElementById("previewYourOutput");
+const previewChanges = document.getElementById("previewChanges");
+
+/* ---------------- Task selection ----------------
+   ?task=<id> picks the exercise; without it the server's default task is used.
+   ------------------------------------------------ */
+const TASK_ID = new URLSearchParams(window.location.search).get("task") || "default";
+const LANG = new URLSearchParams(window.location.search).get("lang") || "";
+const API_BASE = `/api/tasks/${encodeURIComponent(TASK_ID)}`;
+
+// Shape of the marker result this page renders (RESULT_SCHEMA_VERSION in lib/rubric.js)
+const RESULT_SCHEMA_VERSION = 2;
+
 /* ---------------- Local state ---------------- */
 let TEMPLATE_TEXT = "";
 let MIN_GATE = 20;
+let TARGET_WORDS = "20–200";
+let LOCALE = "";
+let UI = {}; // catalogue strings from /config
+let HISTORY = [];
+let currentAttemptId = null;
+let pendingMark = false; // resubmit once the learner has re-entered their code
+let CSRF_TOKEN = "";
+let TASK_KEY = TASK_ID; // the real task id once /config has answered ("default" resolved)
+let PASS_SCORE = null;
+let EMBED_ORIGINS = [];
+let STEP_LOCKED = null; // { previous, message } when /config refuses: the step before isn't mastered
+let LOCAL = null; // { task, i18n, owner }: the marker compiled from /offline, see useBundle
+const offlineStore = createOfflineStore(TASK_ID);
+
+/* ---------------- UI strings ----------------
+   Elements carry their catalogue key: data-i18n (text), data-i18n-placeholder,
+   data-i18n-aria-label. The English in index.html shows until /config answers.
+   ------------------------------------------------ */
+function t(key, vars = {}) {
+  return format(UI[key] ?? key, vars);
+}
+
+function applyUiStrings() {
+  const vars = { min: MIN_GATE };
+  document.querySelectorAll("[data-i18n]").forEach(el => {
+    if (UI[el.dataset.i18n]) el.textContent = t(el.dataset.i18n, vars);
+  });
+  document.querySelectorAll("[data-i18n-placeholder]").forEach(el => {
+    if (UI[el.dataset.i18nPlaceholder]) el.placeholder = t(el.dataset.i18nPlaceholder, vars);
+  });
+  document.querySelectorAll("[data-i18n-aria-label]").forEach(el => {
+    if (UI[el.dataset.i18nAriaLabel]) el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel, vars));
+  });
+  if (LOCALE) document.documentElement.lang = LOCALE;
+  updateWordCount();
+}
+
+// locales: [{ code, name }] the task is available in; switching reloads in that language
+function renderLanguages(locales) {
+  if (!Array.isArray(locales) || locales.length < 2) {
+    langSelect.style.display = "none";
+    return;
+  }
+  langSelect.innerHTML = locales
+    .map(l => `<option value="${escapeHtml(l.code)}">${escapeHtml(l.name)}</option>`)
+    .join("");
+  langSelect.value = LOCALE;
+  langSelect.style.display = "inline-block";
+}
+
+langSelect.addEventListener("change", () => {
+  const params = new URLSearchParams(window.location.search);
+  params.set("lang", langSelect.value);
+  window.location.search = params.toString(); // the draft is kept in this browser
+});
 
 /* ---------------- Helpers ---------------- */
-function wc(text) {
-  const t = String(text || "").trim();
-  if (!t) return 0;
-  return t.split(/\s+/).filter(Boolean).length;
+// Seconds to wait from a 429 response (Retry-After header, else body)
+function retryAfterSeconds(res, data) {
+  const n = parseInt(res.headers.get("Retry-After") || data?.retryAfter || "", 10);
+  return Number.isFinite(n) && n > 0 ? n : 30;
+}
+
+function waitMessage(seconds) {
+  if (seconds >= 120) return t("minutes", { n: Math.ceil(seconds / 60) });
+  return seconds === 1 ? t("second") : t("seconds", { n: seconds });
+}
+
+// POST with the CSRF token; fetches a fresh token and retries once if it was rejected
+async function postJson(url, body) {
+  const send = () => fetch(url, {
+    method: "POST",
+    // the locale /config settled on, so marking feedback comes back in the page's language
+    headers: {
+      "Content-Type": "application/json",
+      "X-CSRF-Token": CSRF_TOKEN,
+      ...(LOCALE ? { "Accept-Language": LOCALE } : {})
+    },
+    credentials: "include",
+    body: JSON.stringify(body ?? {})
+  });
+
+  const res = await send();
+  if (res.status !== 403) return res;
+  const data = await res.clone().json().catch(() => null);
+  if (data?.error !== "csrf_failed") return res;
+
+  await loadConfig();
+  return send();
 }
 
 function showGate(message = "") {
@@ -78,6 +248,12 @@ function hideGate() {
 }
 
 function resetExtras() {
+  // Revision
+  revisionWrap.style.display = "none";
+  revisionSummary.textContent = "";
+  revisionStages.innerHTML = "";
+  revisionDiff.innerHTML = "";
+
   // Strengths
   strengthsWrap.style.display = "none";
   strengthsList.innerHTML = "";
@@ -88,11 +264,20 @@ function resetExtras() {
 
   // Grid
   gridWrap.style.display = "none";
-  gEthical.textContent = "—";
-  gImpact.textContent = "—";
-  gLegal.textContent = "—";
-  gRecs.textContent = "—";
-  gStructure.textContent = "—";
+  gridRows.innerHTML = "";
+
+  // Certificate
+  certificateWrap.style.display = "none";
+  certificateMsg.textContent = "";
+
+  // Remedial hint
+  remedialWrap.style.display = "none";
+  remedialText.textContent = "";
+
+  // Evidence
+  evidenceWrap.style.display = "none";
+  evidenceLegend.innerHTML = "";
+  evidenceText.innerHTML = "";
 
   // Learn more panel
   learnMoreWrap.style.display = "none";
@@ -116,60 +301,107 @@ function resetFeedback() {
 /* ---------------- Config load ---------------- */
 async function loadConfig() {
   try {
-    const res = await fetch("/api/config", { credentials: "include" });
+    const query = LANG ? `?lang=${encodeURIComponent(LANG)}` : "";
+    const res = await fetch(`${API_BASE}/config${query}`, { credentials: "include" });
     const data = await res.json();
-    if (!data?.ok) return;
+    if (!data?.ok) {
+      if (data?.error === "unknown_task") questionTextEl.textContent = data.message || "";
+      if (data?.error === "step_locked") STEP_LOCKED = data;
+      return;
+    }
+    STEP_LOCKED = null;
+
+    UI = data.messages || {};
+    LOCALE = data.locale || "";
+
+    if (data.title) {
+      document.title = data.title;
+      titleEls.forEach(el => { el.textContent = data.title; });
+    }
 
-    questionTextEl.textContent = data.questionText || "Task loaded.";
-    targetWordsEl.textContent = data.targetWords || "20-200";
+    questionTextEl.textContent = data.questionText || "";
+    TARGET_WORDS = data.targetWords || TARGET_WORDS;
     MIN_GATE = data.minWordsGate ?? 20;
-    minGateEl.textContent = String(MIN_GATE);
+    applyUiStrings();
+    renderLanguages(data.locales);
 
     TEMPLATE_TEXT = data.templateText || "";
+    TASK_KEY = data.taskId || TASK_ID;
+    CSRF_TOKEN = data.csrfToken || "";
+    PASS_SCORE = data.passScore ?? null;
+    EMBED_ORIGINS = Array.isArray(data.embedOrigins) ? data.embedOrigins : [];
+    previewBtn.style.display = data.preview ? "inline-block" : "none";
 
     if (data.courseBackUrl) {
       backToCourse.href = data.courseBackUrl;
       backToCourse.style.display = "inline-block";
     }
-    if (data.nextLessonUrl) {
-      nextLesson.href = data.nextLessonUrl;
-      nextLesson.style.display = "inline-block";
-    }
+    renderSequence(data.sequence);
   } catch {
     // silent
   }
 }
 
 /* ---------------- Gate unlock ---------------- */
+// data: { previous: { taskId, title }, message } from a 403 step_locked; the gate links back to that step
+function showStepLocked(data) {
+  const query = new URLSearchParams({ task: data.previous.taskId });
+  if (LANG) query.set("lang", LANG);
+  gatePrevious.href = `${window.location.pathname}?${query}`;
+  gatePrevious.textContent = data.previous.title;
+  gatePrevious.style.display = "inline-block";
+  showGate(data.message);
+}
+
+const UNLOCK_ERRORS = {
+  code_expired: "codeExpired",
+  code_revoked: "codeRevoked",
+  code_used_up: "codeUsedUp"
+};
+
 async function unlock() {
   const code = codeInput.value.trim();
   if (!code) {
-    gateMsg.textContent = "Please enter the access code from your lesson.";
+    gateMsg.textContent = t("enterCode");
     return;
   }
 
   unlockBtn.disabled = true;
-  gateMsg.textContent = "Checking…";
+  gateMsg.textContent = t("checking");
 
   try {
-    const res = await fetch("/api/unlock", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      credentials: "include",
-      body: JSON.stringify({ code })
-    });
+    const res = await postJson(`${API_BASE}/unlock`, { code });
 
     const data = await res.json();
 
+    if (res.status === 429) {
+      gateMsg.textContent = t("tooManyAttempts", { wait: waitMessage(retryAfterSeconds(res, data)) });
+      return;
+    }
+
+    if (data?.error === "step_locked") {
+      showStepLocked(data);
+      return;
+    }
+
     if (!res.ok || !data?.ok) {
-      gateMsg.textContent = "That code didn’t work. Check it and try again.";
+      gateMsg.textContent = t(UNLOCK_ERRORS[data?.error] || "codeInvalid");
       return;
     }
 
     hideGate();
     await loadConfig();
+    await checkSession();
+    await loadHistory();
+    loadOfflineBundle();
+    syncOffline();
+
+    if (pendingMark) {
+      pendingMark = false;
+      mark();
+    }
   } catch {
-    gateMsg.textContent = "Network issue. Please try again.";
+    gateMsg.textContent = t("networkIssue");
   } finally {
     unlockBtn.disabled = false;
   }
@@ -180,14 +412,70 @@ codeInput.addEventListener("keydown", (e) => {
   if (e.key === "Enter") unlock();
 });
 
+/* ---------------- Live checklist ---------------- */
+const CHECKLIST_DELAY_MS = 250;
+let checklistTimer = null;
+
+// The stages the rubric finds in the answer so far, as the tags after marking will show them
+function updateChecklist() {
+  if (!LOCAL || !answerTextEl.value.trim()) {
+    checklistWrap.style.display = "none";
+    checklistTags.innerHTML = "";
+    return;
+  }
+  const { tags } = applyRubric(LOCAL.task.rubric, answerTextEl.value);
+  checklistTags.innerHTML = tags.map(tag => tagBadge(tag.label, tag.status)).join("");
+  checklistWrap.style.display = "block";
+}
+
+function scheduleChecklist() {
+  clearTimeout(checklistTimer);
+  checklistTimer = setTimeout(updateChecklist, CHECKLIST_DELAY_MS);
+}
+
 /* ---------------- Word count live ---------------- */
 function updateWordCount() {
-  const n = wc(answerTextEl.value);
-  wordCountBox.textContent = `Words: ${n}`;
+  const n = wordCount(answerTextEl.value);
+  wordCountBox.textContent = t("wordsLive", { n });
+  scheduleChecklist();
 }
 answerTextEl.addEventListener("input", updateWordCount);
 updateWordCount();
 
+/* ---------------- Draft (kept in this browser) ---------------- */
+const DRAFT_KEY = `fethink_draft_${TASK_ID}`;
+
+function saveDraft() {
+  try {
+    if (answerTextEl.value.trim()) localStorage.setItem(DRAFT_KEY, answerTextEl.value);
+    else localStorage.removeItem(DRAFT_KEY);
+  } catch {
+    // storage full or disabled: the draft just isn't kept
+  }
+}
+
+function restoreDraft() {
+  try {
+    const draft = localStorage.getItem(DRAFT_KEY);
+    if (draft && !answerTextEl.value.trim()) {
+      answerTextEl.value = draft;
+      updateWordCount();
+    }
+  } catch {
+    // silent
+  }
+}
+
+function clearDraft() {
+  try {
+    localStorage.removeItem(DRAFT_KEY);
+  } catch {
+    // silent
+  }
+}
+
+answerTextEl.addEventListener("input", saveDraft);
+
 /* ---------------- Template + clear ---------------- */
 insertTemplateBtn.addEventListener("click", () => {
   if (!TEMPLATE_TEXT) return;
@@ -204,9 +492,136 @@ insertTemplateBtn.addEventListener("click", () => {
 clearBtn.addEventListener("click", () => {
   answerTextEl.value = "";
   updateWordCount();
+  clearDraft();
   resetFeedback();
 });
 
+/* ---------------- Session lifecycle ----------------
+   The server renews the cookie on activity; the page only needs to know when
+   it will run out so it can warn the learner before their work is cut off.
+   ------------------------------------------------ */
+const WARN_BEFORE_MS = 2 * 60 * 1000;
+const ACTIVITY_REFRESH_MS = 2 * 60 * 1000; // at most one keep-alive per 2 minutes of typing
+
+let sessionExpiresAt = 0; // local clock, ms
+let sessionRenewable = true;
+let lastRefreshAt = 0;
+let warnTimer = null;
+let expireTimer = null;
+let countdownTimer = null;
+
+function hideSessionWarning() {
+  sessionWarning.style.display = "none";
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+}
+
+function updateSessionWarning() {
+  const seconds = Math.max(0, Math.round((sessionExpiresAt - Date.now()) / 1000));
+  sessionWarningText.textContent = t(sessionRenewable ? "sessionEndsIn" : "sessionEndsFinal", { wait: waitMessage(seconds) });
+  staySignedInBtn.style.display = sessionRenewable ? "" : "none";
+}
+
+function showSessionWarning() {
+  updateSessionWarning();
+  sessionWarning.style.display = "flex";
+  if (!countdownTimer) countdownTimer = setInterval(updateSessionWarning, 1000);
+}
+
+function sessionEnded(message) {
+  clearTimeout(warnTimer);
+  clearTimeout(expireTimer);
+  hideSessionWarning();
+  sessionExpiresAt = 0;
+  signOutBtn.style.display = "none";
+  showGate(message);
+}
+
+// data: { active, secondsRemaining, renewable } from the session endpoints
+function applySession(data) {
+  clearTimeout(warnTimer);
+  clearTimeout(expireTimer);
+  hideSessionWarning();
+
+  if (!data?.active) {
+    sessionExpiresAt = 0;
+    signOutBtn.style.display = "none";
+    return false;
+  }
+
+  // secondsRemaining, not expiresAt, so a wrong device clock doesn't matter
+  const ms = data.secondsRemaining * 1000;
+  sessionExpiresAt = Date.now() + ms;
+  sessionRenewable = data.renewable !== false;
+  signOutBtn.style.display = "inline-block";
+
+  warnTimer = setTimeout(showSessionWarning, Math.max(0, ms - WARN_BEFORE_MS));
+  expireTimer = setTimeout(() => {
+    sessionEnded(t("sessionEnded"));
+  }, ms);
+  return true;
+}
+
+// true/false, or null when the server can't be reached
+async function checkSession() {
+  try {
+    const res = await fetch(`${API_BASE}/session`, { credentials: "include" });
+    const data = await res.json();
+    return applySession(data);
+  } catch {
+    return null;
+  }
+}
+
+async function refreshSession() {
+  lastRefreshAt = Date.now();
+  try {
+    const res = await postJson(`${API_BASE}/session/refresh`);
+    if (res.status === 401) {
+      sessionEnded(t("sessionEnded"));
+      return;
+    }
+    applySession(await res.json());
+  } catch {
+    // next activity or the expiry timer will try again
+  }
+}
+
+// Typing counts as activity: keep the session alive without a request per keystroke
+answerTextEl.addEventListener("input", () => {
+  if (!sessionExpiresAt || !sessionRenewable) return;
+  if (Date.now() - lastRefreshAt < ACTIVITY_REFRESH_MS) return;
+  refreshSession();
+});
+
+staySignedInBtn.addEventListener("click", refreshSession);
+
+signOutBtn.addEventListener("click", async () => {
+  signOutBtn.disabled = true;
+  await syncOffline(); // whatever can't be saved now is dropped with the draft below
+  try {
+    await postJson("/api/logout");
+  } catch {
+    // the cookies expire on their own
+  } finally {
+    signOutBtn.disabled = false;
+  }
+
+  // Shared computers: don't leave the answer or history behind
+  clearDraft();
+  answerTextEl.value = "";
+  updateWordCount();
+  resetFeedback();
+  HISTORY = [];
+  currentAttemptId = null;
+  renderHistory();
+  offlineStore.clear();
+  LOCAL = null;
+  updateChecklist();
+  renderOfflineStatus();
+  sessionEnded(t("signedOut"));
+});
+
 /* ---------------- Learn more toggle + tabs ---------------- */
 function setActiveTab() { /* tabs removed */ }
 
@@ -230,62 +645,174 @@ function renderStrengths(strengths) {
     strengthsList.innerHTML = "";
     return;
   }
-  strengthsList.innerHTML = strengths.slice(0, 3).map(s => `<li>${escapeHtml(s)}</li>`).join("");
+  strengthsList.innerHTML = strengths.map(s => `<li>${escapeHtml(s)}</li>`).join("");
   strengthsWrap.style.display = "block";
 }
 
-function tagBadge(name, status) {
+function statusSymbol(status) {
+  return status === "ok" ? "✔" : status === "mid" ? "◐" : "✗";
+}
+
+function tagBadge(name, status, changed = false) {
   // status: "ok" | "mid" | "bad"
-  const symbol = status === "ok" ? "✔" : status === "mid" ? "◐" : "✗";
-  const cls = status === "ok" ? "tag ok" : status === "mid" ? "tag mid" : "tag bad";
-  return `<span class="${cls}"><span class="tagStatus">${symbol}</span>${escapeHtml(name)}</span>`;
+  const symbol = statusSymbol(status);
+  let cls = status === "ok" ? "tag ok" : status === "mid" ? "tag mid" : "tag bad";
+  if (changed) cls += " changed";
+  return `<span class="${cls}" data-stage="${escapeHtml(name)}"><span class="tagStatus">${symbol}</span>${escapeHtml(name)}</span>`;
 }
 
-function renderTags(tags) {
-  // tags: supports [{name, status}] OR [{label, status}]
+function renderTags(tags, changedLabels = []) {
+  // tags: [{ id, label, status }], one per criterion
   if (!Array.isArray(tags) || tags.length === 0) {
     tagsWrap.style.display = "none";
     tagsRow.innerHTML = "";
     return;
   }
-  tagsRow.innerHTML = tags.map(t => tagBadge(t.name || t.label || "", t.status)).join(""); // ✅ UPDATED
+  tagsRow.innerHTML = tags.map(t => tagBadge(t.label, t.status, changedLabels.includes(t.label))).join("");
   tagsWrap.style.display = "block";
 }
 
+function renderRevision(revision) {
+  if (!revision) {
+    revisionWrap.style.display = "none";
+    return;
+  }
+
+  revisionSummary.textContent = revision.summary || "";
+
+  const moved = (revision.stages || []).filter(s => s.change === "improved" || s.change === "declined");
+  revisionStages.innerHTML = moved.map(s =>
+    `<span class="tag changed">${escapeHtml(s.label)}: ${statusSymbol(s.from)} → ${statusSymbol(s.to)}</span>`
+  ).join("");
+
+  revisionDiff.innerHTML = (revision.diff || []).map(d => {
+    if (d.op === "add") return `<ins>${escapeHtml(d.text)}</ins>`;
+    if (d.op === "del") return `<del>${escapeHtml(d.text)}</del>`;
+    return escapeHtml(d.text);
+  }).join("");
+
+  revisionWrap.style.display = "block";
+}
+
+// grid: [{ id, label, description, status, statusText, detail, guidanceUrl }], one row per criterion
 function renderGrid(grid) {
-  // Supports BOTH:
-  // 1) object grid: {ethical, impact, legal, recs, structure}
-  // 2) array grid:  [{label, status, detail}, ...]
-  if (!grid) {
+  if (!Array.isArray(grid) || grid.length === 0) {
     gridWrap.style.display = "none";
+    gridRows.innerHTML = "";
     return;
   }
 
-  // Case 1: object-style grid
-  if (!Array.isArray(grid)) {
-    gEthical.textContent = grid.ethical || "—";
-    gImpact.textContent = grid.impact || "—";
-    gLegal.textContent = grid.legal || "—";
-    gRecs.textContent = grid.recs || "—";
-    gStructure.textContent = grid.structure || "—";
-    gridWrap.style.display = "block";
+  gridRows.innerHTML = grid.map(row => {
+    const name = row.description ? `${row.label} (${row.description})` : row.label;
+    const guidance = row.guidanceUrl
+      ? ` <a class="gridGuidance" href="${escapeHtml(row.guidanceUrl)}" target="_blank" rel="noopener">${escapeHtml(t("howToImprove"))}</a>`
+      : "";
+    // data-stage lets evidence highlights point at their row
+    return `<div class="gridRow" data-stage="${escapeHtml(row.label)}">
+      <div class="gridName">${escapeHtml(name)}</div>
+      <div class="gridStatus">${escapeHtml(row.statusText || "—")}</div>
+      ${row.detail || guidance ? `<div class="gridDetail">${escapeHtml(row.detail || "")}${guidance}</div>` : ""}
+    </div>`;
+  }).join("");
+
+  gridWrap.style.display = "block";
+}
+
+/* ---------------- Evidence highlights ---------------- */
+const EVIDENCE_COLOURS = 4;
+
+// evidence: [{ label, weak, spans: [{ start, end, facet }] }] with offsets into answerText
+function renderEvidence(answerText, evidence) {
+  if (!Array.isArray(evidence) || !evidence.length) {
+    evidenceWrap.style.display = "none";
     return;
   }
 
-  // Case 2: array-style grid from server.js (Role/Task/Context/Format)
-  const getStatus = (label) => {
-    const row = grid.find(r => (r.label || "").toLowerCase() === label.toLowerCase());
-    return row ? (row.status || "—") : "—";
-  };
+  const stages = evidence.map((e, i) => ({ ...e, colour: i % EVIDENCE_COLOURS }));
 
-  gEthical.textContent = getStatus("Role");
-  gImpact.textContent = getStatus("Task");
-  gLegal.textContent = getStatus("Context");
-  gRecs.textContent = getStatus("Format");
-  gStructure.textContent = "—";
-  gridWrap.style.display = "block";
+  // Cut the answer wherever a highlight starts or ends; each piece is covered by zero or more stages
+  const cuts = new Set([0, answerText.length]);
+  for (const st of stages) {
+    for (const sp of st.spans) {
+      cuts.add(sp.start);
+      cuts.add(sp.end);
+    }
+  }
+  const points = [...cuts].filter(n => n >= 0 && n <= answerText.length).sort((a, b) => a - b);
+
+  let html = "";
+  for (let i = 0; i + 1 < points.length; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    const piece = escapeHtml(answerText.slice(from, to));
+    const hits = stages
+      .map(st => ({ st, sp: st.spans.find(sp => sp.start <= from && sp.end >= to) }))
+      .filter(h => h.sp);
+    if (!hits.length) {
+      html += piece;
+      continue;
+    }
+
+    let cls = `ev${hits[0].st.colour}`;
+    if (hits.length > 1) cls += " evMulti";
+    if (hits.some(h => h.st.weak)) cls += " evWeak";
+    const title = hits.map(h => (h.sp.facet ? `${h.st.label}: ${h.sp.facet}` : h.st.label)).join("\n");
+    const labels = hits.map(h => h.st.label).join("|");
+    html += `<mark class="${cls}" data-stages="${escapeHtml(labels)}" title="${escapeHtml(title)}">${piece}</mark>`;
+  }
+  evidenceText.innerHTML = html;
+
+  evidenceLegend.innerHTML = stages.map(st => {
+    const note = !st.spans.length
+      ? t("evidenceNone")
+      : st.weak ? t("evidenceWeak") : t("evidenceCount", { n: st.spans.length });
+    return `<button class="evChip ev${st.colour}" data-stage="${escapeHtml(st.label)}">${escapeHtml(st.label)} <span class="subtle">${escapeHtml(note)}</span></button>`;
+  }).join("");
+
+  evidenceWrap.style.display = "block";
 }
 
+// Dims every highlight except the given stage's (null shows them all)
+function focusEvidence(label) {
+  evidenceText.querySelectorAll("mark").forEach(m => {
+    m.classList.toggle("dim", !!label && !m.dataset.stages.split("|").includes(label));
+  });
+  evidenceLegend.querySelectorAll(".evChip").forEach(chip => {
+    chip.classList.toggle("active", chip.dataset.stage === label);
+  });
+}
+
+function flashStage(label) {
+  const targets = [...document.querySelectorAll(".tag[data-stage], .gridRow[data-stage]")]
+    .filter(el => el.dataset.stage === label);
+  targets.forEach(el => {
+    el.classList.add("flash");
+    setTimeout(() => el.classList.remove("flash"), 1500);
+  });
+  targets[targets.length - 1]?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+evidenceText.addEventListener("click", (e) => {
+  const mark = e.target.closest("mark[data-stages]");
+  if (mark) flashStage(mark.dataset.stages.split("|")[0]);
+});
+
+evidenceLegend.addEventListener("click", (e) => {
+  const chip = e.target.closest(".evChip");
+  if (!chip) return;
+  focusEvidence(chip.classList.contains("active") ? null : chip.dataset.stage);
+});
+
+// A tag or grid row shows just that stage's highlights
+function showStageEvidence(e) {
+  const el = e.target.closest("[data-stage]");
+  if (!el || evidenceWrap.style.display === "none") return;
+  focusEvidence(el.dataset.stage);
+  evidenceWrap.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+tagsRow.addEventListener("click", showStageEvidence);
+gridWrap.addEventListener("click", showStageEvidence);
+
 function renderFramework(frameworkText) {
   // frameworkText: string (Learn More content)
   if (!frameworkText) {
@@ -311,32 +838,386 @@ function escapeHtml(s) {
     .replaceAll("'", "&#039;");
 }
 
+/* ---------------- Lesson sequence ---------------- */
+// sequence: { title, position, total, mastery, mastered, steps, next, remedial } from /config and /mark
+function renderSequence(sequence) {
+  if (!sequence) return;
+
+  sequenceTitle.textContent = sequence.title || "";
+  sequenceStep.textContent = sequence.total > 1 ? t("sequenceStep", { n: sequence.position, total: sequence.total }) : "";
+
+  // The step list only helps once there's more than one task
+  sequenceSteps.innerHTML = sequence.total > 1 ? sequence.steps.map(s => {
+    let cls = "sequenceStepItem";
+    if (s.mastered) cls += " mastered";
+    if (s.current) cls += " current";
+    const note = s.mastered ? t("stepMastered") : s.best !== null ? t("stepBest", { score: s.best }) : "";
+    return `<li class="${cls}"${s.current ? ' aria-current="step"' : ""}>` +
+      `<span class="sequenceDot">${s.mastered ? "✔" : ""}</span>${escapeHtml(s.title)}` +
+      `${note ? ` <span class="subtle">(${escapeHtml(note)})</span>` : ""}</li>`;
+  }).join("") : "";
+
+  const m = sequence.mastery;
+  const vars = { min: m.minScore, max: m.maxScore, stages: m.stages };
+  sequenceRule.textContent = sequence.mastered
+    ? t("masteryDone")
+    : t(m.allSecure ? "masteryRuleSecure" : "masteryRule", vars);
+  sequenceRule.classList.toggle("done", !!sequence.mastered);
+
+  // The server only sends the link once the task is mastered
+  const next = sequence.next;
+  if (next?.unlocked && next.taskId) {
+    const query = new URLSearchParams({ task: next.taskId });
+    if (LANG) query.set("lang", LANG);
+    nextLesson.href = `${window.location.pathname}?${query}`;
+    nextLesson.textContent = t("nextTask", { title: next.title });
+    nextLesson.removeAttribute("target");
+    nextLesson.style.display = "inline-block";
+  } else if (next?.unlocked && next.url) {
+    nextLesson.href = next.url;
+    nextLesson.textContent = t("nextLesson");
+    nextLesson.setAttribute("target", "_blank");
+    nextLesson.style.display = "inline-block";
+  } else {
+    nextLesson.style.display = "none";
+  }
+
+  // Nothing to unlock and nothing to track: keep the page as it was
+  sequenceBar.style.display = sequence.total > 1 || next ? "block" : "none";
+}
+
+// remedial: { label, misses, text, guidanceUrl } once a stage has been missed several times in a row
+function renderRemedial(remedial) {
+  if (!remedial) {
+    remedialWrap.style.display = "none";
+    return;
+  }
+  remedialHeading.textContent = t("remedialHeading", { label: remedial.label });
+  remedialText.textContent = remedial.text;
+  if (remedial.guidanceUrl) {
+    remedialLink.href = remedial.guidanceUrl;
+    remedialLink.style.display = "inline-block";
+  } else {
+    remedialLink.style.display = "none";
+  }
+  remedialWrap.style.display = "block";
+}
+
+/* ---------------- Completion certificate ---------------- */
+// certificate: { url, verifyUrl } once issued
+function showIssuedCertificate(certificate) {
+  certificateForm.style.display = "none";
+  certificateOpen.href = certificate.url;
+  certificateDownload.href = `${certificate.url}?download=1`;
+  certificateVerify.textContent = t("certificateVerify", { url: certificate.verifyUrl });
+  certificateIssued.style.display = "block";
+}
+
+// offer: { eligible, issued, suggestedName } with a full-marks result, else null
+function renderCertificate(offer) {
+  if (!offer?.eligible) {
+    certificateWrap.style.display = "none";
+    return;
+  }
+  if (offer.issued) {
+    showIssuedCertificate(offer.issued);
+  } else {
+    certificateIssued.style.display = "none";
+    certificateForm.style.display = "block";
+    if (!certificateName.value) certificateName.value = offer.suggestedName || "";
+  }
+  certificateWrap.style.display = "block";
+}
+
+async function requestCertificate() {
+  const name = certificateName.value.trim();
+  if (name.length < 2) {
+    certificateMsg.textContent = t("certificateInvalidName");
+    return;
+  }
+
+  certificateBtn.disabled = true;
+  certificateMsg.textContent = "";
+  try {
+    const res = await postJson(`${API_BASE}/certificates`, { attemptId: currentAttemptId, name });
+    if (res.status === 401) {
+      sessionEnded(t("sessionEnded"));
+      return;
+    }
+    const data = await res.json();
+    if (data?.error === "invalid_name") {
+      certificateMsg.textContent = t("certificateInvalidName");
+      return;
+    }
+    if (!data?.ok || !data.certificate) {
+      certificateMsg.textContent = t("certificateFailed");
+      return;
+    }
+    showIssuedCertificate(data.certificate);
+  } catch {
+    certificateMsg.textContent = t("networkIssue");
+  } finally {
+    certificateBtn.disabled = false;
+  }
+}
+
+certificateBtn.addEventListener("click", requestCertificate);
+
+/* ---------------- Attempt history ---------------- */
+async function loadHistory() {
+  try {
+    const res = await fetch(`${API_BASE}/attempts`, { credentials: "include" });
+    if (!res.ok) return;
+    const data = await res.json();
+    HISTORY = Array.isArray(data?.attempts) ? data.attempts : [];
+    renderHistory();
+  } catch {
+    // silent: history is a nice-to-have
+  }
+}
+
+function renderHistory() {
+  if (!HISTORY.length) {
+    historyWrap.style.display = "none";
+    historyStrip.innerHTML = "";
+    return;
+  }
+
+  historyStrip.innerHTML = HISTORY.map((a, i) => {
+    const marked = !a.gated && a.score != null && a.maxScore > 0;
+    const pct = marked ? Math.max(0, Math.min(100, (a.score / a.maxScore) * 100)) : 0;
+    const label = marked ? `${a.score}/${a.maxScore}` : "—";
+    const when = new Date(a.createdAt).toLocaleString();
+    const cls = a.id === currentAttemptId ? "historyItem secondary active" : "historyItem secondary";
+    return `<button class="${cls}" data-attempt-id="${escapeHtml(a.id)}" title="${escapeHtml(when)}">
+      <span class="historyBarTrack"><span class="historyBar" style="height:${pct}%"></span></span>
+      <span class="historyScore">${escapeHtml(label)}</span>
+      <span class="historyNum">#${i + 1}</span>
+    </button>`;
+  }).join("");
+  historyWrap.style.display = "block";
+
+  // keep the latest attempt in view
+  historyStrip.scrollLeft = historyStrip.scrollWidth;
+}
+
+historyStrip.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-attempt-id]");
+  if (!btn) return;
+  const attempt = HISTORY.find(a => a.id === btn.dataset.attemptId);
+  if (!attempt) return;
+
+  answerTextEl.value = attempt.answerText || "";
+  updateWordCount();
+  saveDraft();
+  currentAttemptId = attempt.id;
+  renderHistory();
+  answerTextEl.focus();
+});
+
+/* ---------------- Embedding bridge ----------------
+   When framed by an allowed lesson page, tell it the learner has passed:
+   { type: "fethink:passed", taskId, score, passScore, attemptId }
+   Posted once per allowed origin; the browser drops it for the others.
+   ------------------------------------------------ */
+function notifyParentPassed(result) {
+  if (window.parent === window || !EMBED_ORIGINS.length) return;
+
+  const message = {
+    type: "fethink:passed",
+    taskId: TASK_KEY,
+    score: result.score,
+    passScore: PASS_SCORE,
+    attemptId: result.attemptId || null
+  };
+  for (const origin of EMBED_ORIGINS) window.parent.postMessage(message, origin);
+}
+
+/* ---------------- Marking in the browser ----------------
+   The bundle from /offline is compiled into the same marker the server
+   runs and kept in this browser (offline.js), so it still works with no
+   network. It has no model answer or worked example (they come only with
+   a result from /mark). It drives the live checklist, and mark() falls
+   back to it offline: the attempt is queued and syncOffline sends it once back
+   online, where the server marks it again and saves its own result.
+   -------------------------------------------------------- */
+function useBundle(bundle) {
+  try {
+    const task = { ...bundle.task, rubric: compileRubric(bundle.rubric, bundle.rubricDefaults) };
+    LOCAL = {
+      task,
+      owner: bundle.owner,
+      i18n: createI18n(new Map([[task.locale, bundle.messages]]), task.locale)
+    };
+  } catch (err) {
+    console.warn("Can't mark in this browser:", err);
+    LOCAL = null;
+  }
+  updateChecklist();
+}
+
+async function loadOfflineBundle() {
+  try {
+    const query = LOCALE ? `?lang=${encodeURIComponent(LOCALE)}` : "";
+    const res = await fetch(`${API_BASE}/offline${query}`, { credentials: "include" });
+    if (!res.ok) return;
+    const data = await res.json();
+    if (!data?.ok) return;
+    offlineStore.saveBundle(data);
+    useBundle(data);
+  } catch {
+    // silent: the bundle from an earlier visit (if any) stays in use
+  }
+}
+
+// message: what just happened, followed by how many answers are still waiting to be saved
+function renderOfflineStatus(message = "") {
+  const n = offlineStore.queued().length;
+  const text = [message, n ? t("offlineQueued", { n }) : ""].filter(Boolean).join(" ");
+  offlineStatus.textContent = text;
+  offlineStatus.style.display = text ? "block" : "none";
+}
+
+function markOffline(answerText) {
+  const result = markPromptingResponse(LOCAL.task, answerText, LOCAL.i18n);
+  offlineStore.enqueue({
+    clientId: crypto.randomUUID(),
+    owner: LOCAL.owner,
+    answerText,
+    markedAt: new Date().toISOString()
+  });
+  currentAttemptId = null;
+  renderHistory();
+  wordCountBig.textContent = String(result.wordCount);
+  showResult({ schemaVersion: RESULT_SCHEMA_VERSION, ...result }, answerText);
+  renderOfflineStatus(t("offlineMarked"));
+}
+
+let syncing = false;
+
+// Sends the queued attempts; the server's results land in the history, and anything not answered for stays queued
+async function syncOffline() {
+  if (syncing || !navigator.onLine || !offlineStore.queued().length) return;
+  syncing = true;
+  try {
+    const res = await postJson(`${API_BASE}/attempts/sync`, { attempts: offlineStore.queued() });
+    if (res.status === 401) {
+      sessionEnded(t("offlineSignIn"));
+      return;
+    }
+    const data = await res.json();
+    if (!data?.ok) return;
+
+    const results = Array.isArray(data.results) ? data.results : [];
+    offlineStore.remove(results.map(r => r.clientId));
+    const saved = results.filter(r => r.status === "saved");
+    const rejected = results.length - saved.length;
+    renderOfflineStatus([
+      saved.length ? t("offlineSynced", { n: saved.length }) : "",
+      rejected ? t("offlineRejected", { n: rejected }) : ""
+    ].filter(Boolean).join(" "));
+
+    renderSequence(data.sequence);
+    loadHistory();
+    const passed = saved.find(r => !r.gated && PASS_SCORE !== null && r.score >= PASS_SCORE);
+    if (passed) notifyParentPassed(passed);
+  } catch {
+    // still offline after all: try again on the next "online" event or mark
+  } finally {
+    syncing = false;
+  }
+}
+
+window.addEventListener("online", () => {
+  renderOfflineStatus();
+  syncOffline();
+});
+window.addEventListener("offline", () => renderOfflineStatus(t(LOCAL ? "offlineMode" : "offlineNoMarker")));
+
 /* ---------------- Submit for marking ---------------- */
+// result: from /mark, or marked in this browser (markOffline)
+function showResult(result, answerText) {
+  if (result.gated) {
+    // Under the word minimum, or not in their own words (pasted model answer, keyword list…):
+    // only show the message, no extras, no model answer.
+    scoreBig.textContent = "—";
+    feedbackBox.textContent = result.message || t("pleaseAdd");
+    resetExtras();
+    return;
+  }
+
+  // >= 20 words
+  scoreBig.textContent = `${result.score}/${result.maxScore ?? 10}`;
+
+  // A server newer than this page: show the score and message rather than misread the rows
+  if (result.schemaVersion !== RESULT_SCHEMA_VERSION) {
+    console.warn(`Unexpected result schema ${result.schemaVersion}; showing score and message only`);
+    feedbackBox.textContent = result.message || "";
+    resetExtras();
+    return;
+  }
+
+  // strengths + tags + grid + notes
+  const improved = (result.revision?.stages || []).filter(s => s.change === "improved").map(s => s.label);
+  renderRevision(result.revision);
+  renderStrengths(result.strengths);
+  renderTags(result.tags, improved);
+  renderGrid(result.grid);
+  renderRemedial(result.sequence?.remedial);
+  renderCertificate(result.certificate);
+  renderEvidence(answerText, result.evidence);
+
+  // ✅ UPDATED: show message if feedback is not provided by server
+  feedbackBox.textContent = result.feedback || result.message || "";
+
+  // ✅ UPDATED: accept either server key
+  renderFramework(result.framework || result.learnMoreText);
+
+  // Model answer only if server returns it (already respects >=20 words rule)
+  if (result.modelAnswer) {
+    modelAnswerEl.textContent = result.modelAnswer;
+    modelWrap.style.display = "block";
+  } else {
+    modelWrap.style.display = "none";
+  }
+}
+
 async function mark() {
   resetFeedback();
 
   const answerText = answerTextEl.value.trim();
-  const words = wc(answerText);
+  const words = wordCount(answerText);
 
   if (words === 0) {
-    feedbackBox.textContent = "Write your answer first (aim for 20-100 words).";
+    feedbackBox.textContent = t("writeFirst", { target: TARGET_WORDS });
+    return;
+  }
+
+  // Known to be offline: don't wait for the request to fail
+  if (!navigator.onLine && LOCAL) {
+    markOffline(answerText);
     return;
   }
 
   submitBtn.disabled = true;
-  feedbackBox.textContent = "Marking…";
+  feedbackBox.textContent = t("marking");
   wordCountBig.textContent = String(words);
 
   try {
-    const res = await fetch("/api/mark", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      credentials: "include",
-      body: JSON.stringify({ answerText })
-    });
+    const res = await postJson(`${API_BASE}/mark`, { answerText }).catch(() => null);
+
+    if (!res) {
+      // No network: mark it here if this browser has the marker, and save it once back online
+      if (LOCAL) markOffline(answerText);
+      else feedbackBox.textContent = t("networkIssue");
+      return;
+    }
 
     if (res.status === 401) {
-      showGate("Session expired. Please re-enter the access code from your Payhip lesson.");
+      // The answer stays in the box (and in the draft); mark it once they're back in
+      pendingMark = true;
+      feedbackBox.textContent = "";
+      sessionEnded(t("sessionExpiredMark"));
       submitBtn.disabled = false;
       return;
     }
@@ -344,53 +1225,125 @@ async function mark() {
     const data = await res.json();
     const result = data?.result;
 
+    if (res.status === 429) {
+      feedbackBox.textContent = t("tooQuick", { wait: waitMessage(retryAfterSeconds(res, data)) });
+      return;
+    }
+
     if (!data?.ok || !result) {
-      feedbackBox.textContent = "Could not mark your answer. Please try again.";
+      feedbackBox.textContent = t("couldNotMark");
       return;
     }
 
     wordCountBig.textContent = String(result.wordCount ?? words);
+    checkSession(); // marking may have renewed the session
+    renderSequence(result.sequence);
+    syncOffline(); // back online: save anything marked while offline
 
-    if (result.gated) {
-      // Under 20 words: only show the "Please add..." message, no extras, no model answer.
-      scoreBig.textContent = "—";
-      feedbackBox.textContent = result.message || "Please add to your answer.";
-      resetExtras();
-      return;
+    if (result.attemptId) {
+      currentAttemptId = result.attemptId;
+      loadHistory();
     }
 
-    // >= 20 words
-    scoreBig.textContent = `${result.score}/10`;
+    if (!result.gated && PASS_SCORE !== null && result.score >= PASS_SCORE) notifyParentPassed(result);
+    showResult(result, answerText);
+  } catch {
+    feedbackBox.textContent = t("networkIssue");
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+submitBtn.addEventListener("click", mark);
+
+/* ---------------- Run my prompt ---------------- */
+function renderPreview(preview) {
+  previewWeakPrompt.textContent = preview.weak.prompt;
+  previewWeakOutput.textContent = preview.weak.output;
+  previewYourPrompt.textContent = preview.yours.prompt;
+  previewYourOutput.textContent = preview.yours.output;
 
-    // strengths + tags + grid + notes
-    renderStrengths(result.strengths);
-    renderTags(result.tags);
-    renderGrid(result.grid);
+  // differences: [{ id, label, weak, yours, note }], one per criterion
+  previewChanges.innerHTML = (preview.differences || []).map(d =>
+    `<li>${tagBadge(d.label, d.yours, d.yours !== d.weak)}<span>${escapeHtml(d.note)}</span></li>`
+  ).join("");
 
-    // ✅ UPDATED: show message if feedback is not provided by server
-    feedbackBox.textContent = result.feedback || result.message || "";
+  previewMsg.textContent = preview.generator === "stub" ? t("previewSimulated") : "";
+  previewBody.style.display = "block";
+}
+
+async function runPreview() {
+  const answerText = answerTextEl.value.trim();
+  if (wordCount(answerText) < MIN_GATE) {
+    previewWrap.style.display = "block";
+    previewBody.style.display = "none";
+    previewMsg.textContent = t("previewTooShort", { min: MIN_GATE });
+    return;
+  }
 
-    // ✅ UPDATED: accept either server key
-    renderFramework(result.framework || result.learnMoreText);
+  previewBtn.disabled = true;
+  previewWrap.style.display = "block";
+  previewBody.style.display = "none";
+  previewMsg.textContent = t("previewRunning");
 
-    // Model answer only if server returns it (already respects >=20 words rule)
-    if (result.modelAnswer) {
-      modelAnswerEl.textContent = result.modelAnswer;
-      modelWrap.style.display = "block";
-    } else {
-      modelWrap.style.display = "none";
+  try {
+    const res = await postJson(`${API_BASE}/preview`, { answerText });
+
+    if (res.status === 401) {
+      previewMsg.textContent = "";
+      sessionEnded(t("sessionEnded"));
+      return;
     }
 
+    const data = await res.json();
+    if (res.status === 429) {
+      previewMsg.textContent = t("tooQuick", { wait: waitMessage(retryAfterSeconds(res, data)) });
+      return;
+    }
+    if (data?.error === "too_short") {
+      previewMsg.textContent = t("previewTooShort", { min: data.minWords ?? MIN_GATE });
+      return;
+    }
+    if (!data?.ok || !data.preview) {
+      previewMsg.textContent = t("previewFailed");
+      return;
+    }
+
+    renderPreview(data.preview);
   } catch {
-    feedbackBox.textContent = "Network issue. Please try again.";
+    previewMsg.textContent = t("networkIssue");
   } finally {
-    submitBtn.disabled = false;
+    previewBtn.disabled = false;
   }
 }
 
-submitBtn.addEventListener("click", mark);
+previewBtn.addEventListener("click", runPreview);
 
 /* ---------------- Initial load ---------------- */
-loadConfig().then(() => {
-  showGate();
-});
+registerServiceWorker();
+restoreDraft();
+if (offlineStore.bundle()) useBundle(offlineStore.bundle());
+renderOfflineStatus();
+
+loadConfig()
+  .then(checkSession)
+  .then((active) => {
+    if (STEP_LOCKED) {
+      showStepLocked(STEP_LOCKED);
+      return;
+    }
+    if (active) {
+      hideGate();
+      loadHistory();
+      loadOfflineBundle();
+      syncOffline();
+      return;
+    }
+    // The server can't be reached, but this browser can mark the task: carry on offline
+    if (active === null && LOCAL) {
+      hideGate();
+      renderOfflineStatus(t("offlineMode"));
+      return;
+    }
+    showGate();
+  });
@@ -0,0 +1,2 @@
+// Certificate page: the print button (the page's CSP allows no inline script)
+document.getElementById("printBtn")?.addEventListener("click", () => window.print());
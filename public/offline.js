@@ -0,0 +1,63 @@
+/* =========================================================
+   FEthink — offline marking (imported by app.js)
+   - Registers the service worker (sw.js), which keeps the page, its
+     scripts and the shared marker modules cached for when the network drops
+   - Keeps, per task, the marking bundle from /offline and the queue of
+     attempts marked in this browser (localStorage) until they're synced
+   ========================================================= */
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("sw.js").catch(err => console.warn("Service worker not registered:", err));
+}
+
+function readJson(key, fallback) {
+  try {
+    const value = JSON.parse(localStorage.getItem(key) || "null");
+    return value ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or disabled: nothing is kept for offline use
+  }
+}
+
+function removeKey(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // silent
+  }
+}
+
+// taskId: as in the page's URL. Queued: [{ clientId, owner, answerText, markedAt }], oldest first
+export function createOfflineStore(taskId) {
+  const bundleKey = `fethink_offline_${taskId}`;
+  const queueKey = `fethink_outbox_${taskId}`;
+  const queued = () => readJson(queueKey, []);
+
+  return {
+    bundle: () => readJson(bundleKey, null),
+    saveBundle: (bundle) => writeJson(bundleKey, bundle),
+    queued,
+    enqueue: (entry) => writeJson(queueKey, [...queued(), entry]),
+
+    remove(clientIds) {
+      const left = queued().filter(e => !clientIds.includes(e.clientId));
+      if (left.length) writeJson(queueKey, left);
+      else removeKey(queueKey);
+    },
+
+    // Signing out: the task's marking data and unsaved answers aren't left on a shared computer
+    clear() {
+      removeKey(bundleKey);
+      removeKey(queueKey);
+    }
+  };
+}
@@ -0,0 +1,61 @@
+/* =========================================================
+   FEthink — service worker (registered by offline.js)
+   Keeps the learner page usable with no network: the page, its scripts,
+   the shared marker modules and each task's last /config answer are
+   cached. Everything is fetched from the network first, so a deploy shows
+   straight away; the cache is only the fallback. Marking and saving are
+   never cached (app.js marks offline and queues the attempt instead).
+   ========================================================= */
+
+const CACHE = "fethink-v1";
+// The marker modules are SHARED_MODULES in server.js
+const SHELL = [
+  "/",
+  "/app.js",
+  "/offline.js",
+  "/styles.css",
+  "/manifest.webmanifest",
+  "/icon.svg",
+  "/lib/marker.js",
+  "/lib/rubric.js",
+  "/lib/sections.js",
+  "/lib/integrity.js",
+  "/lib/revision.js",
+  "/lib/messages.js"
+];
+const CONFIG_PATH = /^\/api\/tasks\/[^/]+\/config$/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (req.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // Every task's page is the same file (?task= picks the task), cached once as "/"
+  const page = req.mode === "navigate" && (url.pathname === "/" || url.pathname === "/index.html");
+  if (!page && !SHELL.includes(url.pathname) && !CONFIG_PATH.test(url.pathname)) return;
+  const key = page ? "/" : req;
+
+  event.respondWith(
+    fetch(req)
+      .then((res) => {
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(CACHE).then(cache => cache.put(key, copy));
+        }
+        return res;
+      })
+      .catch(() => caches.match(key).then(hit => hit || Response.error()))
+  );
+});
@@ -0,0 +1,243 @@
+/* =========================================================
+   Marker calibration: how closely does the deterministic marker agree
+   with human labellers? Run it before deploying a rubric change.
+
+   Usage:
+     node scripts/calibrate.js [corpus.jsonl ...] [--tasks=dir] [--label=name] [--top=10] [--no-save]
+     node scripts/calibrate.js compare <before.json> <after.json>
+     node scripts/calibrate.js export [--task=id] [--limit=200] > calibration/<name>.jsonl
+
+   corpus:   labelled answers (format in lib/calibration.js); default every
+             .jsonl file in calibration/, or in calibration/synthetic/ when
+             there are none
+   --tasks   task directory to mark with (default TASKS_DIR or tasks/), so
+             an edited copy of a rubric can be tried before it goes live
+   --label   name for the saved run (default: the rubric fingerprints)
+   --top     how many of the worst disagreements to list
+
+   Prints per-criterion precision/recall and confusion matrices, score
+   agreement (exact, ±2, weighted kappa) and the worst disagreements, and
+   saves the run to calibration/runs/ (CALIBRATION_RUNS_DIR) for
+   "compare", which lines up two runs metric by metric and lists the
+   answers whose mark changed.
+
+   "export" writes anonymised answers from the attempts store (DATA_DIR)
+   with blank labels; once every line is labelled the file is a corpus.
+
+   calibration/synthetic/ holds hand-written answers and labels. They show
+   the harness working and catch regressions in the cases they cover, but
+   say nothing about how the marker does on real answers, so don't quote
+   their numbers as calibration. They're only used when there is no
+   labelled corpus of real answers, and runs over them are reported and
+   saved as synthetic.
+   ========================================================= */
+
+import fs from "fs";
+import path from "path";
+import { loadLocales, createI18n } from "../lib/i18n.js";
+import { loadTasks, taskLocales, localiseTask } from "../lib/tasks.js";
+import { markPromptingResponse } from "../lib/marker.js";
+import { openStore } from "../lib/store.js";
+import {
+  STATES,
+  parseCorpus,
+  corpusFromAttempts,
+  rubricFingerprint,
+  markCorpus,
+  calibrationReport,
+  compareRuns
+} from "../lib/calibration.js";
+
+const args = process.argv.slice(2);
+const flag = (name) => args.find(a => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+const positional = args.filter(a => !a.startsWith("--"));
+
+const CALIBRATION_DIR = "calibration";
+const SYNTHETIC_DIR = path.join(CALIBRATION_DIR, "synthetic");
+const RUNS_DIR = process.env.CALIBRATION_RUNS_DIR || path.join(CALIBRATION_DIR, "runs");
+
+const isSynthetic = (file) => path.resolve(file).startsWith(path.resolve(SYNTHETIC_DIR) + path.sep);
+
+function loadTaskSet() {
+  const localesDir = process.env.LOCALES_DIR || "locales";
+  const defaultLocale = process.env.DEFAULT_LOCALE || "en";
+  const i18n = createI18n(loadLocales(localesDir, defaultLocale), defaultLocale);
+  const tasksDir = flag("tasks") || process.env.TASKS_DIR || "tasks";
+  return { i18n, tasksDir, tasks: loadTasks(tasksDir, i18n) };
+}
+
+function fixed(v, digits = 3) {
+  return v === null || v === undefined ? "—" : Number(v).toFixed(digits).replace(/\.?0+$/, "") || "0";
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+  return rows.map(r => r.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd()).join("\n");
+}
+
+function excerpt(text, max = 140) {
+  const flat = String(text).replace(/\s+/g, " ").trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+/* ---------------- compare ---------------- */
+function runCompare([beforeFile, afterFile]) {
+  if (!beforeFile || !afterFile) {
+    console.error("Usage: node scripts/calibrate.js compare <before.json> <after.json>");
+    process.exit(1);
+  }
+  const before = JSON.parse(fs.readFileSync(beforeFile, "utf8"));
+  const after = JSON.parse(fs.readFileSync(afterFile, "utf8"));
+  const cmp = compareRuns(before, after);
+
+  console.log(`Before: ${before.label} (${before.createdAt})`);
+  console.log(`After:  ${after.label} (${after.createdAt})\n`);
+  if (before.synthetic || after.synthetic) console.log("SYNTHETIC corpus: a regression check, not a calibration.\n");
+  console.log(table([
+    ["Metric", "Before", "After", "Change"],
+    ...cmp.metrics.map(m => [
+      m.name,
+      fixed(m.before),
+      fixed(m.after),
+      m.change === null ? "—" : `${m.change > 0 ? "+" : ""}${fixed(m.change)}`
+    ])
+  ]));
+
+  console.log(`\nAnswers marked differently: ${cmp.changed.length}`);
+  if (cmp.changed.length) {
+    console.log("(score [stages in rubric order]: S secure, D developing, M missing)");
+    console.log(table([
+      ["Id", "Verdict", "Human", "Before", "After"],
+      ...cmp.changed.map(c => [c.id, c.verdict, c.human, c.before, c.after])
+    ]));
+  }
+  if (cmp.onlyBefore.length || cmp.onlyAfter.length) {
+    console.log(`\nNot in both runs (corpus changed): ${[...cmp.onlyBefore, ...cmp.onlyAfter].join(", ")}`);
+  }
+}
+
+/* ---------------- export ---------------- */
+function runExport() {
+  const { tasks } = loadTaskSet();
+  const attempts = openStore(process.env.DATA_DIR || "data").collection("attempts").find();
+  const limit = parseInt(flag("limit") || "200", 10);
+  const entries = corpusFromAttempts(attempts, a => tasks.get(a.taskId)?.rubric.criteria.map(c => c.id) || null, {
+    taskId: flag("task") || "",
+    limit
+  });
+
+  for (const e of entries) process.stdout.write(JSON.stringify(e) + "\n");
+  console.error(`Exported ${entries.length} answers. Label each one (human.stages and human.score, ` +
+    `or "human": { "gated": true }) before running the calibration.`);
+}
+
+/* ---------------- run ---------------- */
+function jsonlFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".jsonl"))
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+// Never mixes the synthetic fixture into a run over real answers
+function corpusFiles() {
+  if (positional.length) return positional;
+  const real = jsonlFiles(CALIBRATION_DIR);
+  return real.length ? real : jsonlFiles(SYNTHETIC_DIR);
+}
+
+function printReport(report) {
+  const g = report.gating;
+  console.log(`Answers: ${report.items}`);
+  console.log(`Gating: ${g.bothMarked} marked by both, ${g.bothGated} gated by both, ` +
+    `${g.humanOnly} gated by the labeller only, ${g.markerOnly} by the marker only (${fixed(g.agreementPct, 1)}% agree)\n`);
+
+  const s = report.score;
+  console.log(`Score agreement over ${s.n} answers: exact ${fixed(s.exactPct, 1)}%, ±2 ${fixed(s.within2Pct, 1)}%, ` +
+    `weighted kappa ${fixed(s.weightedKappa)}, mean difference ${fixed(s.meanDifference)} (marker − human)\n`);
+
+  console.log(table([
+    ["Stage", "n", "Accuracy", "Found P", "Found R", ...STATES.flatMap(st => [`${st} P`, `${st} R`])],
+    ...[...report.criteria, { label: "All stages", ...report.overall }].map(c => [
+      c.label,
+      c.n,
+      fixed(c.accuracy),
+      fixed(c.present.precision),
+      fixed(c.present.recall),
+      ...STATES.flatMap(st => [fixed(c.byState[st].precision), fixed(c.byState[st].recall)])
+    ])
+  ]));
+
+  for (const c of [...report.criteria, { label: "All stages", ...report.overall }]) {
+    console.log(`\n${c.label} (rows: human, columns: marker)`);
+    console.log(table([
+      ["", ...STATES],
+      ...STATES.map(h => [h, ...STATES.map(m => c.confusion[h][m])])
+    ]));
+  }
+
+  console.log(`\nWorst disagreements (${report.worst.length}):`);
+  for (const d of report.worst) {
+    console.log(`\n  ${d.id} [${d.taskId}/${d.locale}] human ${d.human} vs marker ${d.marker}`);
+    for (const st of d.stages) console.log(`    ${st.stage}: human ${st.human}, marker ${st.marker}`);
+    if (d.note) console.log(`    note: ${d.note}`);
+    console.log(`    "${excerpt(d.answerText)}"`);
+  }
+}
+
+function runCalibration() {
+  const files = corpusFiles();
+  if (!files.length) {
+    console.error(`No corpus: pass a .jsonl file or add one to ${CALIBRATION_DIR}/ ` +
+      `(node scripts/calibrate.js export starts one from stored answers)`);
+    process.exit(1);
+  }
+  const corpus = files.flatMap(f => parseCorpus(fs.readFileSync(f, "utf8"), f));
+
+  const synthetic = files.filter(isSynthetic);
+  const { i18n, tasksDir, tasks } = loadTaskSet();
+
+  const taskFor = (e) => {
+    const task = tasks.get(e.taskId);
+    if (!task) return null;
+    const locale = e.locale || task.locale;
+    return taskLocales(task).includes(locale) ? localiseTask(task, locale) : null;
+  };
+  const items = markCorpus(corpus, taskFor, (task, text) => markPromptingResponse(task, text, i18n));
+
+  // Report labels in each task's own language, stages in first-seen order
+  const used = [...new Set(corpus.map(e => e.taskId))].map(id => tasks.get(id));
+  const criteria = [];
+  for (const t of used) {
+    for (const c of t.rubric.criteria) if (!criteria.some(x => x.id === c.id)) criteria.push({ id: c.id, label: c.label });
+  }
+
+  const top = parseInt(flag("top") || "10", 10);
+  const report = calibrationReport(items, criteria, { top });
+  // Covers the translations' rubrics too: they decide the marks in those locales
+  const fingerprints = Object.fromEntries(used.map(t =>
+    [t.id, rubricFingerprint([t.rubric, ...[...t.translations.values()].map(x => x.rubric)])]));
+
+  console.log(`Corpus: ${files.join(", ")}`);
+  if (synthetic.length) {
+    console.log(`SYNTHETIC: ${synthetic.join(", ")} ${synthetic.length > 1 ? "are" : "is"} hand-written, ` +
+      "not learner answers; these figures are not a calibration of the marker.");
+  }
+  console.log(`Tasks: ${tasksDir} (${used.map(t => `${t.id} rubric ${fingerprints[t.id]}`).join(", ")})\n`);
+  printReport(report);
+
+  if (args.includes("--no-save")) return;
+  const createdAt = new Date().toISOString();
+  const label = flag("label") || Object.values(fingerprints).join("+");
+  const run = { createdAt, label, corpus: files, synthetic: synthetic.length > 0, tasksDir, rubrics: fingerprints, report, items };
+
+  fs.mkdirSync(RUNS_DIR, { recursive: true });
+  const file = path.join(RUNS_DIR, `${createdAt.replace(/[:.]/g, "-")}-${label.replace(/[^\w.+-]+/g, "_")}.json`);
+  fs.writeFileSync(file, JSON.stringify(run, null, 2) + "\n");
+  console.log(`\nSaved ${file}`);
+}
+
+if (positional[0] === "compare") runCompare(positional.slice(1));
+else if (positional[0] === "export") runExport();
+else runCalibration();
@@ -0,0 +1,235 @@
+/* =========================================================
+   Mock LTI 1.3 platform (a stand-in Moodle/Canvas) for local testing.
+
+   Usage:
+     node scripts/mock-lti-platform.js [--port=8098] [--tool=http://localhost:3000]
+                                       [--config=data/lti-platforms.mock.json]
+
+   Generates a fresh platform key pair on every start and writes the
+   matching registration to --config. Start the server with
+   LTI_PLATFORMS=<that file>, then open:
+
+     http://localhost:8098/launch?task=rome-prompt&user=learner-1
+     http://localhost:8098/deep-link
+
+   The mock also plays the platform's side of grade passback: it issues
+   AGS tokens (checking the tool's signed client assertion against
+   /lti/jwks) and logs the scores it receives. GET /lineitems/<task>/scores
+   lists them.
+
+   Note: the tool's cookies are Secure, so browsers only keep them over
+   https or on localhost.
+   ========================================================= */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import express from "express";
+
+const flag = (name, fallback) =>
+  process.argv.find(a => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=") || fallback;
+
+const port = parseInt(flag("port", "8098"), 10);
+const tool = flag("tool", "http://localhost:3000").replace(/\/+$/, "");
+const configFile = flag("config", "data/lti-platforms.mock.json");
+
+const self = `http://localhost:${port}`;
+const clientId = "mock-client";
+const deploymentId = "mock-deployment";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString("hex");
+
+const registration = [{
+  issuer: self,
+  clientId,
+  deploymentIds: [deploymentId],
+  authLoginUrl: `${self}/auth`,
+  authTokenUrl: `${self}/token`,
+  jwksUrl: `${self}/jwks`
+}];
+fs.mkdirSync(path.dirname(configFile), { recursive: true });
+fs.writeFileSync(configFile, JSON.stringify(registration, null, 2) + "\n");
+
+/* ---------------- JWT ---------------- */
+function sign(payload) {
+  const header = Buffer.from(JSON.stringify({ alg: "RS256", typ: "JWT", kid })).toString("base64url");
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${body}`), privateKey).toString("base64url");
+  return `${header}.${body}.${signature}`;
+}
+
+// Verifies a JWT signed by the tool, using the tool's published JWKS
+async function verifyFromTool(token) {
+  const [h, p, sig] = String(token || "").split(".");
+  const header = JSON.parse(Buffer.from(h, "base64url").toString("utf8"));
+  const jwks = await (await fetch(`${tool}/lti/jwks`)).json();
+  const jwk = jwks.keys.find(k => k.kid === header.kid);
+  if (!jwk) throw new Error(`tool key ${header.kid} not in /lti/jwks`);
+
+  const key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+  if (!crypto.verify("sha256", Buffer.from(`${h}.${p}`), key, Buffer.from(sig, "base64url"))) {
+    throw new Error("bad signature");
+  }
+  return JSON.parse(Buffer.from(p, "base64url").toString("utf8"));
+}
+
+function escapeHtml(s) {
+  return String(s ?? "").replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', "&quot;");
+}
+
+/* ---------------- Platform ---------------- */
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json({ type: ["application/json", "application/vnd.ims.lis.v1.score+json"] }));
+
+const tokens = new Set();
+const scores = new Map(); // task -> [score]
+
+// Step 1: the LMS starts a launch by sending the browser to the tool's login URL
+function startLaunch(res, hint) {
+  const url = new URL(`${tool}/lti/login`);
+  url.searchParams.set("iss", self);
+  url.searchParams.set("client_id", clientId);
+  url.searchParams.set("lti_deployment_id", deploymentId);
+  url.searchParams.set("login_hint", hint.user);
+  url.searchParams.set("target_link_uri", `${tool}/lti/launch${hint.task ? `?task=${encodeURIComponent(hint.task)}` : ""}`);
+  url.searchParams.set("lti_message_hint", Buffer.from(JSON.stringify(hint)).toString("base64url"));
+  res.redirect(302, url.toString());
+}
+
+app.get("/launch", (req, res) => {
+  startLaunch(res, {
+    kind: "resource",
+    task: String(req.query.task || ""),
+    user: String(req.query.user || "learner-1"),
+    name: String(req.query.name || "Mock Learner"),
+    email: String(req.query.email || "")
+  });
+});
+
+app.get("/deep-link", (req, res) => {
+  startLaunch(res, { kind: "deep-link", user: String(req.query.user || "instructor-1"), name: "Mock Instructor" });
+});
+
+// Step 2: the tool sends the browser back here; answer with a form that posts the id_token to the tool
+app.get("/auth", (req, res) => {
+  const q = req.query;
+  if (q.response_type !== "id_token" || q.client_id !== clientId || !q.nonce || !q.state) {
+    return res.status(400).send("bad auth request");
+  }
+  if (!String(q.redirect_uri || "").startsWith(tool)) return res.status(400).send("redirect_uri is not the tool's");
+
+  const hint = JSON.parse(Buffer.from(String(q.lti_message_hint || ""), "base64url").toString("utf8"));
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: self,
+    aud: clientId,
+    sub: hint.user,
+    iat: now,
+    exp: now + 300,
+    nonce: q.nonce,
+    name: hint.name,
+    ...(hint.email ? { email: hint.email } : {}),
+    "https://purl.imsglobal.org/spec/lti/claim/version": "1.3.0",
+    "https://purl.imsglobal.org/spec/lti/claim/deployment_id": deploymentId,
+    "https://purl.imsglobal.org/spec/lti/claim/context": { id: "course-1", title: "Mock course" },
+    "https://purl.imsglobal.org/spec/lti/claim/roles": [
+      hint.kind === "deep-link"
+        ? "http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor"
+        : "http://purl.imsglobal.org/vocab/lis/v2/membership#Learner"
+    ]
+  };
+
+  if (hint.kind === "deep-link") {
+    Object.assign(claims, {
+      "https://purl.imsglobal.org/spec/lti/claim/message_type": "LtiDeepLinkingRequest",
+      "https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings": {
+        deep_link_return_url: `${self}/deep-link-return`,
+        accept_types: ["ltiResourceLink"],
+        data: "mock-deep-link-data"
+      }
+    });
+  } else {
+    const lineItem = hint.task || "default";
+    Object.assign(claims, {
+      "https://purl.imsglobal.org/spec/lti/claim/message_type": "LtiResourceLinkRequest",
+      "https://purl.imsglobal.org/spec/lti/claim/target_link_uri": `${tool}/lti/launch${hint.task ? `?task=${encodeURIComponent(hint.task)}` : ""}`,
+      "https://purl.imsglobal.org/spec/lti/claim/resource_link": { id: `link-${lineItem}` },
+      ...(hint.task ? { "https://purl.imsglobal.org/spec/lti/claim/custom": { task: hint.task } } : {}),
+      "https://purl.imsglobal.org/spec/lti-ags/claim/endpoint": {
+        scope: [
+          "https://purl.imsglobal.org/spec/lti-ags/scope/lineitem",
+          "https://purl.imsglobal.org/spec/lti-ags/scope/score"
+        ],
+        lineitem: `${self}/lineitems/${encodeURIComponent(lineItem)}`
+      }
+    });
+  }
+
+  res.type("html").send(`<!doctype html>
+<form id="f" method="post" action="${escapeHtml(q.redirect_uri)}">
+  <input type="hidden" name="id_token" value="${escapeHtml(sign(claims))}" />
+  <input type="hidden" name="state" value="${escapeHtml(q.state)}" />
+  <button type="submit">Continue to the tool</button>
+</form>
+<script>document.getElementById("f").submit();</script>`);
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" }] });
+});
+
+// AGS: client-credentials token for the tool's signed assertion
+app.post("/token", async (req, res) => {
+  try {
+    if (req.body.grant_type !== "client_credentials") throw new Error("unsupported grant_type");
+    const claims = await verifyFromTool(req.body.client_assertion);
+    if (claims.iss !== clientId || claims.sub !== clientId) throw new Error("assertion iss/sub is not the client id");
+    if (claims.aud !== `${self}/token`) throw new Error("assertion aud is not the token URL");
+    if (claims.exp < Date.now() / 1000) throw new Error("assertion expired");
+
+    const token = crypto.randomBytes(16).toString("hex");
+    tokens.add(token);
+    console.log(`token issued for scope ${req.body.scope}`);
+    res.json({ access_token: token, token_type: "Bearer", expires_in: 3600, scope: req.body.scope });
+  } catch (err) {
+    console.log(`token refused: ${err.message}`);
+    res.status(401).json({ error: "invalid_client", error_description: err.message });
+  }
+});
+
+app.post("/lineitems/:id/scores", (req, res) => {
+  const token = String(req.get("Authorization") || "").replace(/^Bearer /, "");
+  if (!tokens.has(token)) return res.status(401).json({ error: "bad token" });
+  if (req.get("Content-Type") !== "application/vnd.ims.lis.v1.score+json") {
+    return res.status(415).json({ error: "wrong content type" });
+  }
+
+  const list = scores.get(req.params.id) || [];
+  list.push(req.body);
+  scores.set(req.params.id, list);
+  console.log(`score for ${req.body.userId} on ${req.params.id}: ${req.body.scoreGiven}/${req.body.scoreMaximum} (${req.body.gradingProgress})`);
+  res.sendStatus(200);
+});
+
+app.get("/lineitems/:id/scores", (req, res) => {
+  res.json({ scores: scores.get(req.params.id) || [] });
+});
+
+app.post("/deep-link-return", async (req, res) => {
+  try {
+    const claims = await verifyFromTool(req.body.JWT);
+    const items = claims["https://purl.imsglobal.org/spec/lti-dl/claim/content_items"] || [];
+    for (const item of items) console.log(`deep link added: ${item.title} -> ${item.url} ${JSON.stringify(item.custom || {})}`);
+    res.json({ ok: true, data: claims["https://purl.imsglobal.org/spec/lti-dl/claim/data"], contentItems: items });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.listen(port, () => {
+  console.log(`Mock LTI platform on ${self} (tool ${tool})`);
+  console.log(`Registration written to ${configFile}; start the server with LTI_PLATFORMS=${configFile}`);
+  console.log(`Launch: ${self}/launch?task=rome-prompt&user=learner-1   Deep link: ${self}/deep-link`);
+});
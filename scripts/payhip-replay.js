@@ -0,0 +1,44 @@
+/* =========================================================
+   Replays a sample Payhip webhook against a running server.
+
+   Usage:
+     PAYHIP_API_KEY=<same key as the server> node scripts/payhip-replay.js [sample] [url]
+
+   sample: a file in scripts/payhip-samples (default "paid") or a path
+   url:    default http://localhost:3000/api/webhooks/payhip
+
+   The payload is signed the way Payhip does it: "signature" is
+   sha256(PAYHIP_API_KEY). Pass --bad-signature to check rejection.
+   ========================================================= */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2).filter(a => !a.startsWith("--"));
+const badSignature = process.argv.includes("--bad-signature");
+
+const sample = args[0] || "paid";
+const url = args[1] || "http://localhost:3000/api/webhooks/payhip";
+const apiKey = process.env.PAYHIP_API_KEY || "";
+
+if (!apiKey) {
+  console.error("Set PAYHIP_API_KEY to the key the server uses.");
+  process.exit(1);
+}
+
+const file = fs.existsSync(sample) ? sample : path.join(here, "payhip-samples", `${sample}.json`);
+const payload = JSON.parse(fs.readFileSync(file, "utf8"));
+payload.signature = badSignature
+  ? "0".repeat(64)
+  : crypto.createHash("sha256").update(apiKey).digest("hex");
+
+const res = await fetch(url, {
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(payload)
+});
+
+console.log(res.status, await res.text());
@@ -0,0 +1,90 @@
+/* =========================================================
+   Stub LRS for checking the xAPI statements locally.
+
+   Usage:
+     node scripts/stub-lrs.js [port] [--fail=N] [--fail-rate=0.3]
+
+   Then run the server with XAPI_ENDPOINT=http://localhost:8099/xapi
+
+   POST /xapi/statements  stores a statement or an array (duplicate ids are
+                          ignored, like a real LRS) and prints one line each
+   GET  /xapi/statements  returns { statements } received so far
+
+   --fail=N         answer the first N POSTs with 503 (exercises the retry queue)
+   --fail-rate=0.3  answer that share of POSTs with 503 at random
+   ========================================================= */
+
+import http from "http";
+
+const args = process.argv.slice(2);
+const flag = (name) => args.find(a => a.startsWith(`--${name}=`))?.split("=")[1];
+
+const port = parseInt(args.find(a => !a.startsWith("--")) || "8099", 10);
+let failFirst = parseInt(flag("fail") || "0", 10);
+const failRate = parseFloat(flag("fail-rate") || "0");
+
+const statements = new Map();
+
+function problems(s) {
+  const out = [];
+  if (!s?.actor || !(s.actor.mbox || s.actor.account)) out.push("actor needs mbox or account");
+  if (!/^https?:\/\//.test(s?.verb?.id || "")) out.push("verb.id must be an IRI");
+  if (!/^https?:\/\//.test(s?.object?.id || "")) out.push("object.id must be an IRI");
+  const scaled = s?.result?.score?.scaled;
+  if (scaled !== undefined && !(scaled >= -1 && scaled <= 1)) out.push("result.score.scaled out of range");
+  return out;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  if (url.pathname !== "/xapi/statements") return send(res, 404, { error: "not found" });
+
+  if (req.method === "GET") return send(res, 200, { statements: [...statements.values()] });
+  if (req.method !== "POST") return send(res, 405, { error: "method not allowed" });
+
+  let raw = "";
+  req.on("data", chunk => { raw += chunk; });
+  req.on("end", () => {
+    if (failFirst > 0 || Math.random() < failRate) {
+      if (failFirst > 0) failFirst--;
+      console.log("503 (simulated outage)");
+      return send(res, 503, { error: "simulated outage" });
+    }
+
+    if (!req.headers["x-experience-api-version"]) {
+      return send(res, 400, { error: "X-Experience-API-Version header missing" });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return send(res, 400, { error: "invalid JSON" });
+    }
+
+    const list = Array.isArray(body) ? body : [body];
+    for (const s of list) {
+      const issues = problems(s);
+      if (issues.length) return send(res, 400, { error: issues.join("; "), statement: s.id });
+    }
+
+    const ids = [];
+    for (const s of list) {
+      ids.push(s.id);
+      if (statements.has(s.id)) continue;
+      statements.set(s.id, s);
+
+      const who = s.actor.mbox || `${s.actor.account.name}`;
+      const score = s.result?.score ? ` ${s.result.score.raw}/${s.result.score.max} (${s.result.score.scaled})` : "";
+      console.log(`${s.verb.display?.en || Object.values(s.verb.display || {})[0] || s.verb.id} ${s.object.id} by ${who}${score}`);
+    }
+    send(res, 200, ids);
+  });
+});
+
+server.listen(port, () => console.log(`Stub LRS on http://localhost:${port}/xapi`));
@@ -2,229 +2,1505 @@ import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import crypto from "crypto";
+import { loadTasks, compileTask, taskLocales, localiseTask } from "./lib/tasks.js";
+import { loadSequences, sequenceFor, recordAttempt, progressFromAttempts, sequenceProgress } from "./lib/sequences.js";
+import { loadLocales, createI18n, negotiateLocale } from "./lib/i18n.js";
+import { RESULT_SCHEMA_VERSION } from "./lib/rubric.js";
+import { markPromptingResponse, wordCount } from "./lib/marker.js";
+import { fingerprint } from "./lib/integrity.js";
+import { createGenerator, createPreview } from "./lib/preview.js";
+import { createLlmProvider, markWithLlm, compareMarks } from "./lib/llm.js";
+import { openStore, newId } from "./lib/store.js";
+import { compareWithPrevious } from "./lib/revision.js";
+import { attemptFilter, cohortStats, attemptsCsv, toCsv } from "./lib/analytics.js";
+import { BatchError, readBatch, batchRow, batchSummary, batchCsvColumns } from "./lib/batch.js";
+import { createTaskVersions, checkDraft } from "./lib/authoring.js";
+import {
+  loadCertificateSecret,
+  normaliseLearnerName,
+  isFullMarks,
+  publicCertificate,
+  createCertificateIssuer,
+  certificatePage,
+  verifyPage
+} from "./lib/certificates.js";
+import { createCodeRegistry, codeProblem, verifyPayhipSignature, handlePayhipEvent } from "./lib/codes.js";
+import { createRateLimiter, createBackoff } from "./lib/rateLimit.js";
+import { xapiActor, buildStatements, createXapiOutbox } from "./lib/xapi.js";
+import { CLAIMS, createLtiTool, loadPlatforms, loadToolKey, ltiLearnerId, deepLinkPage } from "./lib/lti.js";
 
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: "1mb" }));
-app.use(express.static("public"));
 
 /* ---------------- Env / defaults ---------------- */
-const ACCESS_CODE = process.env.ACCESS_CODE || "ROME-PROMPT-01";
 const COOKIE_SECRET = process.env.COOKIE_SECRET || crypto.randomBytes(32).toString("hex");
 const SESSION_MINUTES = parseInt(process.env.SESSION_MINUTES || "60", 10);
+// Sliding renewal never extends a session past this long after unlocking
+const SESSION_MAX_HOURS = parseInt(process.env.SESSION_MAX_HOURS || "12", 10);
+
+const TASKS_DIR = process.env.TASKS_DIR || "tasks";
+const DEFAULT_TASK_ID = process.env.DEFAULT_TASK_ID || "rome-prompt";
+
+// Message catalogues (locales/<lang>.json); tasks are in DEFAULT_LOCALE unless they say otherwise
+const LOCALES_DIR = process.env.LOCALES_DIR || "locales";
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || "en";
+
+const DATA_DIR = process.env.DATA_DIR || "data";
+
+// Per-learner access codes (Payhip webhook / admin issued)
+const PAYHIP_API_KEY = process.env.PAYHIP_API_KEY || "";
+const CODE_EXPIRY_DAYS = parseInt(process.env.CODE_EXPIRY_DAYS || "0", 10);
+const CODE_MAX_USES = parseInt(process.env.CODE_MAX_USES || "0", 10);
+// Set to "false" once every learner has their own code to retire the shared task codes
+const ALLOW_SHARED_CODE = (process.env.ALLOW_SHARED_CODE || "true") !== "false";
+
+// Abuse protection (0 disables a limit)
+const UNLOCK_MAX_PER_MINUTE = parseInt(process.env.UNLOCK_MAX_PER_MINUTE || "10", 10);
+const UNLOCK_FREE_FAILURES = parseInt(process.env.UNLOCK_FREE_FAILURES || "5", 10);
+const UNLOCK_BACKOFF_SECONDS = parseInt(process.env.UNLOCK_BACKOFF_SECONDS || "30", 10);
+const UNLOCK_BACKOFF_MAX_SECONDS = parseInt(process.env.UNLOCK_BACKOFF_MAX_SECONDS || "900", 10);
+const MARK_MAX_PER_MINUTE_IP = parseInt(process.env.MARK_MAX_PER_MINUTE_IP || "60", 10);
+const MARK_MAX_PER_MINUTE_SESSION = parseInt(process.env.MARK_MAX_PER_MINUTE_SESSION || "10", 10);
+
+// Completion certificates are signed with this; generated and kept in DATA_DIR when unset.
+// Changing it invalidates every certificate already issued.
+const CERTIFICATE_SECRET = process.env.CERTIFICATE_SECRET || "";
+
+// Render sits behind one proxy hop; req.ip must come from X-Forwarded-For there
+const TRUST_PROXY = process.env.TRUST_PROXY ?? "1";
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY !== "false");
+
+// Instructor dashboard: disabled unless ADMIN_PASSWORD is set
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+const ADMIN_SESSION_MINUTES = parseInt(process.env.ADMIN_SESSION_MINUTES || "120", 10);
+
+// Batch marking uploads from the dashboard (streamed, so not bound by the JSON body cap)
+const BATCH_MAX_MB = parseInt(process.env.BATCH_MAX_MB || "20", 10);
+const BATCH_MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS || "5000", 10);
+
+// Marker: "deterministic" (default), "llm" (LLM first, deterministic fallback)
+// or "compare" (deterministic result, LLM run alongside to flag disagreements)
+const MARKER_MODE = process.env.MARKER_MODE || "deterministic";
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || "8000", 10);
+const LLM_DISAGREEMENT = parseInt(process.env.LLM_DISAGREEMENT || "3", 10);
+
+// "Run my prompt" preview: off unless PREVIEW_GENERATOR is "stub" (offline, simulated output)
+// or "chat" (a chat-completion endpoint; defaults to the LLM marker's)
+const PREVIEW_GENERATOR = process.env.PREVIEW_GENERATOR || "";
+const PREVIEW_TIMEOUT_MS = parseInt(process.env.PREVIEW_TIMEOUT_MS || "15000", 10);
+const PREVIEW_MAX_PER_MINUTE_SESSION = parseInt(process.env.PREVIEW_MAX_PER_MINUTE_SESSION || "5", 10);
+
+// xAPI statements to the LMS's LRS: off unless XAPI_ENDPOINT is set (e.g. https://lrs.example.org/xapi)
+const XAPI_ENDPOINT = process.env.XAPI_ENDPOINT || "";
+const XAPI_USERNAME = process.env.XAPI_USERNAME || "";
+const XAPI_PASSWORD = process.env.XAPI_PASSWORD || "";
+// Absolute IRI for activity/extension ids; defaults to this server's own origin
+const XAPI_ACTIVITY_BASE = process.env.XAPI_ACTIVITY_BASE || "";
+const XAPI_MAX_TRIES = parseInt(process.env.XAPI_MAX_TRIES || "10", 10);
+
+// LTI 1.3 launches from Moodle/Canvas: off unless LTI_PLATFORMS names a platforms JSON file (see lib/lti.js).
+// For launches inside an LMS iframe also set EMBED_ORIGINS to the LMS and COOKIE_SAMESITE=none.
+const LTI_PLATFORMS = process.env.LTI_PLATFORMS || "";
+// Tool signing key (PEM, "\n" escapes allowed); generated and kept in DATA_DIR when unset
+const LTI_PRIVATE_KEY = (process.env.LTI_PRIVATE_KEY || "").replaceAll("\\n", "\n");
+
+// Embedding in Payhip / LMS lesson pages. Comma-separated origins, e.g.
+// EMBED_ORIGINS=https://fethink.payhip.com  (pages allowed to frame the tool)
+// CORS_ORIGINS=https://lms.example.org      (sites allowed to call the API)
+const EMBED_ORIGINS = originList("EMBED_ORIGINS");
+const CORS_ORIGINS = originList("CORS_ORIGINS");
+// "none" keeps learner cookies working inside a third-party iframe (HTTPS only)
+const COOKIE_SAMESITE = (process.env.COOKIE_SAMESITE || "lax").toLowerCase();
+
+if (!["lax", "strict", "none"].includes(COOKIE_SAMESITE)) {
+  throw new Error(`Unknown COOKIE_SAMESITE "${COOKIE_SAMESITE}"`);
+}
+
+function originList(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map(s => s.trim().replace(/\/+$/, ""))
+    .filter(Boolean)
+    .map(origin => {
+      if (!/^https?:\/\/[^/\s]+$/.test(origin)) throw new Error(`${name}: "${origin}" is not an origin`);
+      return origin;
+    });
+}
+
+/* ---------------- Security headers / CORS ---------------- */
+// Inline style attributes are used for bar widths and show/hide, hence 'unsafe-inline' for styles only
+function contentSecurityPolicy(frameAncestors, formAction = "'self'") {
+  return [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    `form-action ${formAction}`,
+    `frame-ancestors ${frameAncestors}`
+  ].join("; ");
+}
+
+const LEARNER_CSP = contentSecurityPolicy(["'self'", ...EMBED_ORIGINS].join(" "));
+// The instructor dashboard is never embedded
+const ADMIN_CSP = contentSecurityPolicy("'self'");
 
-// Support BOTH names to avoid breaking your Render setup:
-// - older template used COURSE_BACK_URL
-// - we previously told you BACK_URL
-const COURSE_BACK_URL = process.env.COURSE_BACK_URL || process.env.BACK_URL || "";
-const NEXT_LESSON_URL = process.env.NEXT_LESSON_URL || "";
+function securityHeaders(req, res, next) {
+  const adminPage = req.path.startsWith("/admin") || req.path.startsWith("/api/admin/");
+  res.set({
+    "Content-Security-Policy": adminPage ? ADMIN_CSP : LEARNER_CSP,
+    "X-Content-Type-Options": "nosniff",
+    "Referrer-Policy": "strict-origin-when-cross-origin"
+  });
+  // Older browsers ignore frame-ancestors; X-Frame-Options can't express an allowlist
+  if (adminPage || !EMBED_ORIGINS.length) res.set("X-Frame-Options", "SAMEORIGIN");
+  next();
+}
 
+app.use(securityHeaders);
+// Same-origin only unless CORS_ORIGINS lists the sites that may call the API with cookies
+if (CORS_ORIGINS.length) app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+// Batch uploads read their own body as it arrives (see postAdminBatch)
+const BATCH_UPLOAD_PATH = /^\/api\/admin\/tasks\/[^/]+\/batches$/;
+const jsonBody = express.json({ limit: "1mb" });
+app.use((req, res, next) => (BATCH_UPLOAD_PATH.test(req.path) ? next() : jsonBody(req, res, next)));
+app.use(express.static("public"));
+// The marker modules the learner page imports to mark in the browser (see lib/marker.js); nothing else in lib/
+const SHARED_MODULES = new Set(["marker.js", "rubric.js", "sections.js", "integrity.js", "revision.js", "messages.js"]);
+app.use("/lib", (req, res, next) => (SHARED_MODULES.has(req.path.slice(1)) ? next() : res.status(404).end()), express.static("lib"));
 app.use(cookieParser(COOKIE_SECRET));
 
+/* ---------------- Store ---------------- */
+const store = openStore(DATA_DIR);
+const attempts = store.collection("attempts");
+const codes = createCodeRegistry(store.collection("access_codes"), {
+  expiryDays: CODE_EXPIRY_DAYS,
+  maxUses: CODE_MAX_USES
+});
+const xapi = XAPI_ENDPOINT
+  ? createXapiOutbox(store.collection("xapi_outbox"), {
+    endpoint: XAPI_ENDPOINT,
+    username: XAPI_USERNAME,
+    password: XAPI_PASSWORD,
+    maxTries: XAPI_MAX_TRIES
+  })
+  : null;
+xapi?.start();
+
+const ltiLaunches = store.collection("lti_launches");
+const batches = store.collection("batches");
+const batchResults = store.collection("batch_results");
+// Tasks published from the authoring page, every version kept (lib/authoring.js)
+const taskVersions = createTaskVersions(store.collection("task_versions"));
+const certificates = createCertificateIssuer(store.collection("certificates"), {
+  secret: loadCertificateSecret({ secret: CERTIFICATE_SECRET, keyFile: `${DATA_DIR}/certificate-secret` })
+});
+const lti = LTI_PLATFORMS
+  ? createLtiTool({
+    platforms: loadPlatforms(LTI_PLATFORMS),
+    toolKey: loadToolKey({ pem: LTI_PRIVATE_KEY, keyFile: `${DATA_DIR}/lti-tool-key.pem` })
+  })
+  : null;
+
+/* ---------------- Tasks ---------------- */
+const i18n = createI18n(loadLocales(LOCALES_DIR, DEFAULT_LOCALE), DEFAULT_LOCALE);
+const TASKS = loadTasks(TASKS_DIR, i18n, taskVersions.latest());
+
+if (!TASKS.has(DEFAULT_TASK_ID)) {
+  throw new Error(`DEFAULT_TASK_ID "${DEFAULT_TASK_ID}" not found in ${TASKS_DIR}`);
+}
+
+// Older single-task deployments configured the exercise through env vars.
+// Keep honouring them for the default task so existing Render setups still work
+// (also after it's republished from the authoring page):
+// - ACCESS_CODE
+// - COURSE_BACK_URL (older template) or BACK_URL
+// - NEXT_LESSON_URL
+function applyLegacyEnv(t) {
+  if (t.id !== DEFAULT_TASK_ID) return;
+  if (process.env.ACCESS_CODE) t.accessCode = process.env.ACCESS_CODE;
+  const back = process.env.COURSE_BACK_URL || process.env.BACK_URL;
+  if (back) t.courseBackUrl = back;
+  if (process.env.NEXT_LESSON_URL) t.nextLessonUrl = process.env.NEXT_LESSON_URL;
+}
+applyLegacyEnv(TASKS.get(DEFAULT_TASK_ID));
+
+// Lesson sequences (TASKS_DIR/sequences): the next step unlocks once a task is mastered
+const SEQUENCES = loadSequences(TASKS_DIR, TASKS);
+
+function getTask(taskId) {
+  if (!taskId || taskId === "default") return TASKS.get(DEFAULT_TASK_ID);
+  return TASKS.get(taskId) || null;
+}
+
+// Resolves :taskId (or the default task on the legacy /api/* routes) onto req.task,
+// in the learner's language (?lang=, else Accept-Language) when the task has it
+function loadTask(req, res, next) {
+  const task = getTask(req.params.taskId);
+  if (!task) {
+    const locale = negotiateLocale(req, i18n.locales, DEFAULT_LOCALE);
+    return res.status(404).json({ ok: false, error: "unknown_task", message: i18n.t(locale, "ui.taskNotFound") });
+  }
+  req.locale = negotiateLocale(req, taskLocales(task), task.locale);
+  req.task = localiseTask(task, req.locale);
+  res.vary("Accept-Language");
+  next();
+}
+
 /* ---------------- Session cookie helpers ---------------- */
 const COOKIE_NAME = "fethink_prompting_session";
 
-function setSessionCookie(res) {
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + SESSION_MINUTES * 60;
+// Learner id: outlives the session so attempt history survives re-unlocking.
+// Anonymous for the shared code; a personal code brings its own id (preferred).
+const LEARNER_COOKIE_NAME = "fethink_learner";
+const LEARNER_COOKIE_DAYS = 365;
 
-  const payload = { exp };
+// SameSite=None cookies are partitioned (CHIPS) so browsers that block third-party cookies still keep them per parent site
+const LEARNER_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true, // Render uses HTTPS
+  sameSite: COOKIE_SAMESITE,
+  partitioned: COOKIE_SAMESITE === "none",
+  signed: true
+};
+const SESSION_COOKIE_OPTIONS = LEARNER_COOKIE_OPTIONS;
 
-  res.cookie(COOKIE_NAME, JSON.stringify(payload), {
-    httpOnly: true,
-    secure: true, // Render uses HTTPS
-    sameSite: "lax",
-    maxAge: SESSION_MINUTES * 60 * 1000,
-    signed: true
+// The learner cookie's id, if this browser has one
+function knownLearnerId(req) {
+  const existing = req.signedCookies?.[LEARNER_COOKIE_NAME];
+  return typeof existing === "string" && /^[0-9a-f-]{36}$/.test(existing) ? existing : null;
+}
+
+function ensureLearnerId(req, res, preferred = null) {
+  const existing = knownLearnerId(req);
+  if (existing && (!preferred || existing === preferred)) return existing;
+
+  const lid = preferred || newId();
+  res.cookie(LEARNER_COOKIE_NAME, lid, {
+    ...LEARNER_COOKIE_OPTIONS,
+    maxAge: LEARNER_COOKIE_DAYS * 24 * 60 * 60 * 1000
   });
+  return lid;
 }
 
-function isSessionValid(req) {
+function readSession(req) {
   const raw = req.signedCookies?.[COOKIE_NAME];
-  if (!raw) return false;
+  if (!raw) return null;
 
   let payload;
   try {
     payload = JSON.parse(raw);
   } catch {
-    return false;
+    return null;
   }
 
   const now = Math.floor(Date.now() / 1000);
-  return typeof payload?.exp === "number" && now < payload.exp;
+  if (typeof payload?.exp !== "number" || now >= payload.exp) return null;
+  if (!Array.isArray(payload.tasks)) payload.tasks = [];
+  if (typeof payload.iat !== "number") payload.iat = now;
+  return payload;
+}
+
+// Writes payload with a fresh expiry: SESSION_MINUTES from now, capped at iat + SESSION_MAX_HOURS
+function writeSessionCookie(res, payload) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = Math.min(now + SESSION_MINUTES * 60, payload.iat + SESSION_MAX_HOURS * 3600);
+  const next = { ...payload, exp };
+
+  res.cookie(COOKIE_NAME, JSON.stringify(next), {
+    ...SESSION_COOKIE_OPTIONS,
+    maxAge: Math.max(0, exp - now) * 1000
+  });
+  return next;
+}
+
+// Sliding renewal: once less than half the session is left, activity restarts the clock
+function renewSessionIfDue(res, session) {
+  const remaining = session.exp - Math.floor(Date.now() / 1000);
+  if (remaining >= (SESSION_MINUTES * 60) / 2) return session;
+  return writeSessionCookie(res, session);
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie(COOKIE_NAME, SESSION_COOKIE_OPTIONS);
+  res.clearCookie(LEARNER_COOKIE_NAME, LEARNER_COOKIE_OPTIONS);
+}
+
+// Adds taskId to the unlocked tasks of any still-valid session and restarts the clock.
+// code: the personal access code used, if any (its learner id becomes the session's)
+// learnerId / ltiLaunchId: set by an LTI launch instead of a code
+function setSessionCookie(req, res, taskId, { code = null, learnerId = null, ltiLaunchId = null } = {}) {
+  const prev = readSession(req);
+  const tasks = prev?.tasks || [];
+  if (!tasks.includes(taskId)) tasks.push(taskId);
+
+  // codes: { taskId: codeId } so revoking a code ends the sessions it opened
+  const sessionCodes = { ...(prev?.codes || {}) };
+  if (code) sessionCodes[taskId] = code.id;
+  else delete sessionCodes[taskId];
+
+  // lti: { taskId: launchId } for grade passback
+  const sessionLti = { ...(prev?.lti || {}) };
+  if (ltiLaunchId) sessionLti[taskId] = ltiLaunchId;
+  else delete sessionLti[taskId];
+
+  // progress: { taskId: entry } across the task's sequence; another learner id starts afresh
+  const lid = ensureLearnerId(req, res, code?.learnerId || learnerId);
+  const progress = seedProgress(prev?.lid === lid ? prev.progress : null, lid, getTask(taskId));
+
+  writeSessionCookie(res, {
+    iat: Math.floor(Date.now() / 1000),
+    tasks,
+    lid,
+    codes: sessionCodes,
+    lti: sessionLti,
+    progress
+  });
 }
 
+function isSessionValid(session, taskId) {
+  if (!session || !session.tasks.includes(taskId) || typeof session.lid !== "string") return false;
+
+  const codeId = session.codes?.[taskId];
+  if (codeId) {
+    const problem = codeProblem(codes.get(codeId));
+    // used-up codes keep the session they opened; revoked or expired ones don't
+    if (problem && problem !== "code_used_up") return false;
+  }
+  return true;
+}
+
+// Must run after loadTask; sets req.session (renewed if due)
 function requireSession(req, res, next) {
-  if (!isSessionValid(req)) {
+  const session = readSession(req);
+  if (!isSessionValid(session, req.task.id)) {
     return res.status(401).json({ ok: false, error: "unauthorized" });
   }
+  req.session = renewSessionIfDue(res, session);
+  next();
+}
+
+/* ---------------- CSRF ----------------
+   Double-submit token: a signed cookie plus the same value in the
+   X-CSRF-Token header, handed to the page by /config. A third-party page
+   can make the browser send the cookie but can't read the token.
+   ------------------------------------------------ */
+const CSRF_COOKIE_NAME = "fethink_csrf";
+
+function csrfToken(req, res) {
+  const existing = req.signedCookies?.[CSRF_COOKIE_NAME];
+  if (typeof existing === "string" && /^[0-9a-f]{64}$/.test(existing)) return existing;
+
+  const token = crypto.randomBytes(32).toString("hex");
+  res.cookie(CSRF_COOKIE_NAME, token, LEARNER_COOKIE_OPTIONS);
+  return token;
+}
+
+function requireCsrf(req, res, next) {
+  const cookie = req.signedCookies?.[CSRF_COOKIE_NAME];
+  const header = req.get("X-CSRF-Token");
+  if (typeof cookie !== "string" || !header || !safeEqual(cookie, header)) {
+    return res.status(403).json({ ok: false, error: "csrf_failed" });
+  }
+  next();
+}
+
+function sessionStatus(session, taskId) {
+  if (!isSessionValid(session, taskId)) return { active: false };
+  const remaining = Math.max(0, session.exp - Math.floor(Date.now() / 1000));
+  return {
+    active: true,
+    expiresAt: new Date(session.exp * 1000).toISOString(),
+    secondsRemaining: remaining,
+    // false once the SESSION_MAX_HOURS cap is what limits the session
+    renewable: session.exp < session.iat + SESSION_MAX_HOURS * 3600
+  };
+}
+
+/* ---------------- Admin session ---------------- */
+const ADMIN_COOKIE_NAME = "fethink_admin";
+
+function setAdminCookie(res) {
+  const exp = Math.floor(Date.now() / 1000) + ADMIN_SESSION_MINUTES * 60;
+  res.cookie(ADMIN_COOKIE_NAME, JSON.stringify({ exp, admin: true }), {
+    httpOnly: true,
+    secure: true,
+    sameSite: "strict",
+    maxAge: ADMIN_SESSION_MINUTES * 60 * 1000,
+    signed: true
+  });
+}
+
+function isAdmin(req) {
+  const raw = req.signedCookies?.[ADMIN_COOKIE_NAME];
+  if (!raw) return false;
+  try {
+    const payload = JSON.parse(raw);
+    return payload?.admin === true && typeof payload.exp === "number" && Date.now() / 1000 < payload.exp;
+  } catch {
+    return false;
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_PASSWORD) return res.status(404).json({ ok: false, error: "admin_disabled" });
+  if (!isAdmin(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+  next();
+}
+
+/* ---------------- Rate limits ---------------- */
+const unlockLimiter = createRateLimiter({ windowMs: 60_000, max: UNLOCK_MAX_PER_MINUTE });
+const unlockBackoff = createBackoff({
+  freeFailures: UNLOCK_FREE_FAILURES,
+  baseSeconds: UNLOCK_BACKOFF_SECONDS,
+  maxSeconds: UNLOCK_BACKOFF_MAX_SECONDS
+});
+const markIpLimiter = createRateLimiter({ windowMs: 60_000, max: MARK_MAX_PER_MINUTE_IP });
+const markSessionLimiter = createRateLimiter({ windowMs: 60_000, max: MARK_MAX_PER_MINUTE_SESSION });
+const previewSessionLimiter = createRateLimiter({ windowMs: 60_000, max: PREVIEW_MAX_PER_MINUTE_SESSION });
+
+function sendRateLimited(res, retryAfter) {
+  res.setHeader("Retry-After", String(retryAfter));
+  return res.status(429).json({ ok: false, error: "rate_limited", retryAfter });
+}
+
+// Keys a guesser is tracked by: their IP and, if they have one, their learner cookie
+function guessKeys(req, scope) {
+  const keys = [`${scope}:ip:${req.ip}`];
+  const lid = req.signedCookies?.[LEARNER_COOKIE_NAME];
+  if (typeof lid === "string") keys.push(`${scope}:lid:${lid}`);
+  return keys;
+}
+
+// For code/password endpoints; the handler reports the outcome via req.guess
+function limitGuesses(scope) {
+  return (req, res, next) => {
+    const keys = guessKeys(req, scope);
+
+    const blocked = keys.map(k => unlockBackoff.check(k)).find(r => !r.allowed);
+    if (blocked) return sendRateLimited(res, blocked.retryAfter);
+
+    const limited = unlockLimiter.hit(keys[0]);
+    if (!limited.allowed) return sendRateLimited(res, limited.retryAfter);
+
+    req.guess = {
+      failed: () => keys.forEach(k => unlockBackoff.fail(k)),
+      succeeded: () => keys.forEach(k => unlockBackoff.succeed(k))
+    };
+    next();
+  };
+}
+
+// Must run after requireSession
+function limitMarking(req, res, next) {
+  const byIp = markIpLimiter.hit(`ip:${req.ip}`);
+  if (!byIp.allowed) return sendRateLimited(res, byIp.retryAfter);
+  const bySession = markSessionLimiter.hit(`lid:${req.session.lid}`);
+  if (!bySession.allowed) return sendRateLimited(res, bySession.retryAfter);
+  next();
+}
+
+// Previews cost a generator call each, so they get their own, tighter session budget
+function limitPreview(req, res, next) {
+  const byIp = markIpLimiter.hit(`ip:${req.ip}`);
+  if (!byIp.allowed) return sendRateLimited(res, byIp.retryAfter);
+  const bySession = previewSessionLimiter.hit(`lid:${req.session.lid}`);
+  if (!bySession.allowed) return sendRateLimited(res, bySession.retryAfter);
   next();
 }
 
 /* ---------------- Helpers ---------------- */
+// This server's public origin (trust proxy makes protocol/host the forwarded ones)
+function requestOrigin(req) {
+  return `${req.protocol}://${req.get("host")}`;
+}
+
 function clampStr(s, max = 6000) {
   return String(s || "").slice(0, max);
 }
 
-function wordCount(text) {
-  const t = String(text || "").trim();
-  if (!t) return 0;
-  return t.split(/\s+/).filter(Boolean).length;
-}
-
-/* ---------------- Task content (UPDATED) ---------------- */
-/* ---------------- Task content (UPDATED) ---------------- */
-const QUESTION_TEXT = [
-  "Scenario - you are travelling to the city of Rome in June and you will be staying at a hotel in the city centre. You are there for 1 week and you want AI to produce a 7-day itinerary for your visit.",
-  "",
-  "A weak prompt would be:",
-  "",
-  "What will I see when I visit Rome?",
-  "",
-  "Your task is to rephrase this into a stronger prompt using the 4-stage structure covered earlier:",
-  "",
-  "Role: Tell AI who you are, or what role you want it to adopt.",
-  "Task: What do you want AI to do?",
-  "Context: Who is AI creating the content for?",
-  "Format: How do you want the AI to present the information (structure, tone) - what specific information (constraints) are you requiring?",
-  "",
-  "Aim for at least 20 words."
-].join("\n");
-
-const TEMPLATE_TEXT = ["Role:", "Task:", "Context:", "Format:"].join("\n");
-
-const MODEL_ANSWER = [
-  "You are a tour guide for the city of Rome (role).",
-  "Give me a 7 day itinerary that includes 3 days of sightseeing Rome’s main historical attractions, one full-day visit outside of Rome, and three days of walking/ shopping (task)",
-  "I am travelling to Rome for the first time as a visitor and I will be staying there in the city centre for 1 week in June. (Context)",
-  "Give me bullets for each suggestion, the distance from my hotel at [X] street, any entrance fees or costs, relevant tour operator, and how long I should allow for the visit. Ensure that if I am sightseeing in the morning, I’m doing something different in the afternoon, so that each day contains a mix of activities. (Format)"
-].join("\n");
-
-const LEARN_MORE_TEXT = [
-  "Here is a second example of using the 4-stage structure to improve your AI prompt:",
-  "",
-  "Scenario: You’ve just had a team meeting to discuss next year's budget and there are actions for the next two weeks. You want AI to help summarise the notes.",
-  "",
-  "Weak prompt:",
-  "",
-  "Summarise these notes.",
-  "",
-  "Strong prompt:",
-  "",
-  "You are a team leader. Summarise these meeting notes into 5 clear bullet points for colleagues who missed the budget meeting. Focus on key decisions and actions for the next two weeks. Use a professional tone.",
-  "",
-  "• Role: You are a team leader",
-  "• Task: Summarise meeting notes and share key decisions and actions",
-  "• Context: Colleagues who missed the meeting",
-  "• Format: 5 bullet points, professional tone."
-].join("\n");
-
-/* ---------------- Deterministic marker ---------------- */
-function markPromptingResponse(answerText) {
-  const wc = wordCount(answerText);
-
-  // HARD GATE: under 20 words — no rubric, no model answer, no extras
-  if (wc < 20) {
-    return {
-      gated: true,
-      wordCount: wc,
-      message:
-        "Please add to your answer.\n" +
-        "This response is too short to demonstrate the full prompt structure.\n" +
-        "Aim for at least 20 words and include: role, task, context, and format.",
-      score: null,
-      strengths: null,
-      tags: null,
-      grid: null,
-      learnMoreText: null,
-      modelAnswer: null
-    };
+// Constant-time string comparison (hashing first makes the lengths equal)
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/* ---------------- LLM marker (optional) ---------------- */
+if (!["deterministic", "llm", "compare"].includes(MARKER_MODE)) {
+  throw new Error(`Unknown MARKER_MODE "${MARKER_MODE}"`);
+}
+
+const llmProvider = MARKER_MODE === "deterministic"
+  ? null
+  : createLlmProvider({
+      provider: process.env.LLM_PROVIDER || "chat",
+      endpoint: process.env.LLM_ENDPOINT || "",
+      apiKey: process.env.LLM_API_KEY || "",
+      model: process.env.LLM_MODEL || "",
+      mockMode: process.env.LLM_MOCK_MODE || "agree"
+    });
+
+// Runs the configured marker(s); the deterministic result is always the fallback
+async function markAnswer(task, answerText) {
+  const det = markPromptingResponse(task, answerText, i18n);
+  if (!llmProvider || det.gated) return { ...det, marker: "deterministic" };
+
+  let llm;
+  try {
+    llm = await markWithLlm(llmProvider, task, answerText, {
+      timeoutMs: LLM_TIMEOUT_MS,
+      language: task.locale === "en" ? "" : i18n.catalogue(task.locale).name
+    });
+  } catch (err) {
+    console.warn(`LLM marker failed (${llmProvider.name}), using deterministic: ${err.message}`);
+    return { ...det, marker: "deterministic", markerFallback: true };
   }
 
-  const t = String(answerText || "").toLowerCase();
+  if (MARKER_MODE === "compare") {
+    const comparison = compareMarks(det, llm, LLM_DISAGREEMENT);
+    if (comparison.disagreement) {
+      console.warn(`Marker disagreement on ${task.id}: deterministic ${det.score} vs llm ${llm.score}`);
+    }
+    return { ...det, marker: "deterministic", comparison };
+  }
 
-  const hasRole = /(role:|you are a|act as|as a )/.test(t);
-  const hasTask = /(task:|give me|create|produce|generate|write|build|plan)/.test(t);
-  const hasContext = /(context:|i am|we are|for me|for a|audience|visitor|first time|rome|june|hotel)/.test(t);
-  const hasFormat = /(format:|bullet|table|include|ensure|constraints|tone|structure|distance|fees|costs|how long)/.test(t);
+  // The evidence explains the deterministic matches, which no longer decide the stages
+  return { ...det, ...llm, message: llm.message || det.message, evidence: null, marker: "llm" };
+}
 
-  const presentCount = [hasRole, hasTask, hasContext, hasFormat].filter(Boolean).length;
+/* ---------------- Prompt preview (optional) ---------------- */
+const preview = PREVIEW_GENERATOR
+  ? createPreview(createGenerator({
+      provider: PREVIEW_GENERATOR,
+      endpoint: process.env.PREVIEW_ENDPOINT || process.env.LLM_ENDPOINT || "",
+      apiKey: process.env.PREVIEW_API_KEY || process.env.LLM_API_KEY || "",
+      model: process.env.PREVIEW_MODEL || process.env.LLM_MODEL || ""
+    }), { timeoutMs: PREVIEW_TIMEOUT_MS })
+  : null;
 
-  let rubricMsg = "Needs improvement – use the formula: role, task, context, format.";
-  if (presentCount === 4) rubricMsg = "Excellent – you’ve followed the prompt formula.";
-  else if (presentCount >= 2) rubricMsg = "Good – try adding audience or tone to strengthen further.";
+// Tasks without a weak prompt to compare against don't offer the preview
+function previewEnabled(task) {
+  return !!preview && !!task.preview.weakPrompt;
+}
 
-  const score = presentCount === 4 ? 10 : presentCount === 3 ? 8 : presentCount === 2 ? 6 : 4;
+/* ---------------- Lesson sequences ---------------- */
+// Fills in the sequence's tasks the session has no progress for from the learner's stored attempts
+function seedProgress(progress, lid, task) {
+  const out = { ...(progress || {}) };
+  const sequence = sequenceFor(SEQUENCES, task);
+  for (const id of sequence.tasks) {
+    if (out[id]) continue;
+    const entry = progressFromAttempts(attempts.find(a => a.taskId === id && a.learnerId === lid), sequence.mastery);
+    if (entry) out[id] = entry;
+  }
+  return out;
+}
 
-  const strengths = [];
-  if (hasRole) strengths.push("You clearly set a role for the AI.");
-  if (hasTask) strengths.push("You specify what you want the AI to do.");
-  if (hasContext) strengths.push("You include context about who/what the plan is for.");
-  if (hasFormat) strengths.push("You set useful formatting constraints for the output.");
-  if (strengths.length < 2) strengths.push("You’ve started shaping the prompt — add the missing stages for more control.");
+// The sequence as the page shows it; session: a valid session for req.task, or null
+function sequenceState(req, session) {
+  return sequenceProgress(sequenceFor(SEQUENCES, req.task), session?.progress || {}, {
+    task: req.task,
+    locale: req.locale,
+    titleOf: id => localiseTask(TASKS.get(id), req.locale).title,
+    nextLessonUrlOf: id => TASKS.get(id).nextLessonUrl,
+    remedialTemplate: i18n.catalogue(req.locale).server.remedial
+  });
+}
+
+// A step in a sequence opens once the learner has mastered the one before it, judged from their
+// stored attempts (the page only hides the link; this is what keeps the step locked).
+// -> the unmastered previous task, or null when the task is open to them
+function lockedBehind(task, learnerId) {
+  const sequence = sequenceFor(SEQUENCES, task);
+  const at = sequence.tasks.indexOf(task.id);
+  if (at <= 0) return null;
+  const prevId = sequence.tasks[at - 1];
+  const entry = learnerId
+    ? progressFromAttempts(attempts.find(a => a.taskId === prevId && a.learnerId === learnerId), sequence.mastery)
+    : null;
+  return entry?.mastered ? null : TASKS.get(prevId);
+}
+
+function sendStepLocked(req, res, previous) {
+  const title = localiseTask(previous, req.locale).title;
+  res.status(403).json({
+    ok: false,
+    error: "step_locked",
+    previous: { taskId: previous.id, title },
+    message: i18n.t(req.locale, "ui.stepLocked", { title })
+  });
+}
+
+// Folds a stored attempt into the session's progress and returns the sequence state after it
+function recordProgress(req, res, attempt) {
+  const { mastery } = sequenceFor(SEQUENCES, req.task);
+  const prev = req.session.progress?.[req.task.id];
+  const entry = recordAttempt(prev, attempt, mastery);
+  if (entry !== prev) {
+    req.session = writeSessionCookie(res, { ...req.session, progress: { ...req.session.progress, [req.task.id]: entry } });
+  }
+  return sequenceState(req, req.session);
+}
+
+/* ---------------- Attempts ---------------- */
+// extra: fields only some attempts have (offline ones, see postAttemptSync)
+function saveAttempt(task, learnerId, answerText, result, extra = {}) {
+  return attempts.insert({
+    taskId: task.id,
+    // The rubric it was marked with (task_versions, lib/authoring.js)
+    taskVersion: task.version,
+    locale: task.locale,
+    learnerId,
+    answerText,
+    wordCount: result.wordCount,
+    gated: result.gated,
+    integrity: result.integrity || null,
+    score: result.score,
+    // Full marks for the rubric it was marked with (not always 10)
+    maxScore: task.rubric.maxScore,
+    stages: result.tags,
+    marker: result.marker,
+    comparison: result.comparison || null,
+    ...extra,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// The session's learner as far as we know them: as the LMS knows them after a launch,
+// else the personal code's name/email (blank for the shared code)
+function sessionLearner(req) {
+  const launch = ltiLaunches.get(req.session.lti?.[req.task.id]);
+  if (launch) return { id: launch.sub, email: launch.email, name: launch.name, issuer: launch.issuer };
+  const code = codes.get(req.session.codes?.[req.task.id]);
+  return { id: req.session.lid, email: code?.email || "", name: code?.name || "", issuer: "" };
+}
 
-  const tags = [
-    { label: "Role", status: hasRole ? "ok" : "bad" },
-    { label: "Task", status: hasTask ? "ok" : "bad" },
-    { label: "Context", status: hasContext ? "ok" : "bad" },
-    { label: "Format", status: hasFormat ? "ok" : "bad" }
-  ];
+// Queues the attempt's xAPI statements; never fails the marking request
+function emitXapi(req, attempt, result) {
+  if (!xapi) return;
+  try {
+    const activityBase = XAPI_ACTIVITY_BASE || requestOrigin(req);
+    // LMS launches identify the learner as the LMS knows them, so the LRS can match them up
+    const { issuer, ...learner } = sessionLearner(req);
 
-  const grid = [
-    { label: "Role", status: hasRole ? "✓ Secure" : "✗ Missing", detail: hasRole ? "Role is present." : "Add a role (e.g., tour guide / travel planner)." },
-    { label: "Task", status: hasTask ? "✓ Secure" : "✗ Missing", detail: hasTask ? "Task is present." : "State what you want AI to produce." },
-    { label: "Context", status: hasContext ? "✓ Secure" : "✗ Missing", detail: hasContext ? "Context is present." : "Add who it’s for / when / where / constraints." },
-    { label: "Format", status: hasFormat ? "✓ Secure" : "✗ Missing", detail: hasFormat ? "Format constraints are present." : "Add format details (bullets, costs, distances, timing, tone)." }
-  ];
+    xapi.enqueue(attempt.id, buildStatements({
+      task: req.task,
+      attempt,
+      result,
+      actor: xapiActor(learner, issuer || activityBase),
+      activityBase
+    }));
+  } catch (err) {
+    console.error("xAPI enqueue failed:", err);
+  }
+}
+
+// Sends the score to the LMS gradebook (AGS) when the session came from an LTI launch.
+// Runs after the response; a failed passback is logged, never shown to the learner.
+function passbackScore(req, result) {
+  const launchId = req.session.lti?.[req.task.id];
+  if (!lti || !launchId || result.gated) return;
+
+  const launch = ltiLaunches.get(launchId);
+  if (!launch?.ags?.lineitem) return;
+
+  lti.postScore(launch, { given: result.score, maximum: req.task.rubric.maxScore })
+    .catch(err => console.error(`LTI score passback failed (launch ${launchId}):`, err?.message || err));
+}
 
+/* ---------------- Offline marking ----------------
+   When the network drops, the learner page marks with the same
+   lib/marker.js in the browser. GET /offline gives it what that needs for
+   the task in the learner's language. The model answer and worked example
+   stay here (they're only shown after a marked attempt): the integrity
+   check gets their hashed shingles (lib/integrity.js fingerprint). Attempts
+   marked offline are queued on the page and sent to POST /attempts/sync
+   when it's back online, where each is marked again: the server's result
+   is the one saved. Each has a client id, so sending one twice is harmless.
+   ------------------------------------------------- */
+const SYNC_MAX_ATTEMPTS = 50;
+const CLIENT_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Tags queued attempts with the learner who marked them, so another sign-in on the same browser can't save them
+function offlineOwner(learnerId) {
+  return crypto.createHash("sha256").update(`offline:${learnerId}`).digest("hex").slice(0, 32);
+}
+
+// When the page says it marked the attempt: a past ISO time, else null
+function offlineMarkedAt(value) {
+  const t = Date.parse(clampStr(value || "", 40));
+  return Number.isFinite(t) && t <= Date.now() ? new Date(t).toISOString() : null;
+}
+
+/* ---------------- Certificates ---------------- */
+// The certificate as the learner page gets it: what it states plus where to open and check it
+function certificateLinks(req, doc) {
   return {
-    gated: false,
-    wordCount: wc,
-    message: rubricMsg,
-    score,
-    strengths: strengths.slice(0, 3),
-    tags,
-    grid,
-    learnMoreText: LEARN_MORE_TEXT,
-    modelAnswer: MODEL_ANSWER
+    ...publicCertificate(doc),
+    url: `/certificates/${doc.id}`,
+    verifyUrl: `${requestOrigin(req)}/verify/${doc.id}`
   };
 }
 
-/* ---------------- Routes ---------------- */
+// Offered with a full-marks result: the certificate already issued, or a name to suggest
+function certificateOffer(req, result) {
+  if (!isFullMarks(result, req.task.rubric.maxScore)) return null;
+  const issued = certificates.forLearner(req.task.id, req.session.lid);
+  return {
+    eligible: true,
+    issued: issued ? certificateLinks(req, issued) : null,
+    suggestedName: issued ? "" : sessionLearner(req).name
+  };
+}
+
+// task: the attempt's task, for attempts stored before maxScore was
+function attemptSummary(a, task) {
+  return {
+    id: a.id,
+    createdAt: a.createdAt,
+    answerText: a.answerText,
+    wordCount: a.wordCount,
+    gated: a.gated,
+    integrity: a.integrity || null,
+    score: a.score,
+    maxScore: a.maxScore ?? task.rubric.maxScore,
+    stages: a.stages
+  };
+}
+
+const HISTORY_LIMIT = 50;
+
+// Latest marked (non-gated) attempt, for the revision comparison
+function lastMarkedAttempt(taskId, learnerId) {
+  const list = attempts.find(a => a.taskId === taskId && a.learnerId === learnerId && !a.gated);
+  return list[list.length - 1] || null;
+}
+
+/* ---------------- Route handlers ---------------- */
 
 // Config for the frontend
-// Config for the frontend
-app.get("/api/config", (req, res) => {
+function getConfig(req, res) {
+  const task = req.task;
+  const session = readSession(req);
+  const valid = isSessionValid(session, task.id);
+
+  // Only for a learner we know; anyone else finds out at unlock, once their code says who they are
+  const learnerId = valid ? session.lid : knownLearnerId(req);
+  const previous = learnerId ? lockedBehind(task, learnerId) : null;
+  if (previous) return sendStepLocked(req, res, previous);
+
+  const sequence = sequenceState(req, valid ? session : null);
   res.json({
     ok: true,
-    questionText: QUESTION_TEXT,
-    templateText: TEMPLATE_TEXT,
-    targetWords: "20–200",
-    minWordsGate: 20,
-    maxWords: 200,
-    courseBackUrl: COURSE_BACK_URL,
-    nextLessonUrl: NEXT_LESSON_URL
+    taskId: task.id,
+    title: task.title,
+    questionText: task.questionText,
+    templateText: task.templateText,
+    targetWords: task.targetWords,
+    minWordsGate: task.minWordsGate,
+    maxWords: task.maxWords,
+    courseBackUrl: task.courseBackUrl,
+    // Only once the task is mastered; the next task in a sequence is in sequence.next
+    nextLessonUrl: sequence.next?.url || "",
+    sequence,
+    passScore: task.passScore,
+    preview: previewEnabled(task),
+    // Parent pages that may receive the "passed" postMessage
+    embedOrigins: EMBED_ORIGINS,
+    csrfToken: csrfToken(req, res),
+    // The page's own strings, in the same language as the task
+    locale: req.locale,
+    locales: taskLocales(getTask(req.params.taskId)).map(code => ({ code, name: i18n.catalogue(code).name })),
+    messages: i18n.catalogue(req.locale).ui
   });
-});
+}
 
-// Check access code and set session cookie
-app.post("/api/unlock", (req, res) => {
+// Check access code (shared task code or personal code) and set session cookie
+function postUnlock(req, res) {
   const code = clampStr(req.body?.code || "", 80).trim();
-  if (!code || code !== ACCESS_CODE) {
+  if (!code) {
     return res.status(401).json({ ok: false, error: "invalid_code" });
   }
-  setSessionCookie(res);
+
+  if (ALLOW_SHARED_CODE && req.task.accessCode && safeEqual(code, req.task.accessCode)) {
+    req.guess.succeeded();
+    const previous = lockedBehind(req.task, knownLearnerId(req));
+    if (previous) return sendStepLocked(req, res, previous);
+    setSessionCookie(req, res, req.task.id);
+    return res.json({ ok: true });
+  }
+
+  // A personal code brings its learner: checked before the code is used, so a locked step doesn't cost a use
+  const found = codes.findByCode(code);
+  if (found && found.taskId === req.task.id && !codeProblem(found)) {
+    const previous = lockedBehind(req.task, found.learnerId);
+    if (previous) {
+      req.guess.succeeded();
+      return sendStepLocked(req, res, previous);
+    }
+  }
+
+  const { doc, error } = codes.redeem(code, req.task.id);
+  if (error) {
+    req.guess.failed();
+    // expired/revoked/used-up are worth telling the learner; anything else is just "invalid"
+    return res.status(401).json({ ok: false, error });
+  }
+  req.guess.succeeded();
+  setSessionCookie(req, res, req.task.id, { code: doc });
   return res.json({ ok: true });
-});
+}
 
 // Marking endpoint (requires session)
-app.post("/api/mark", requireSession, (req, res) => {
+async function postMark(req, res) {
+  const answerText = clampStr(req.body?.answerText || req.body?.answer || "", 6000);
+  try {
+    const result = await markAnswer(req.task, answerText);
+
+    const prev = result.gated ? null : lastMarkedAttempt(req.task.id, req.session.lid);
+    const revision = prev
+      ? compareWithPrevious(prev, result, answerText, i18n.catalogue(req.locale).server.revision)
+      : null;
+
+    const attempt = saveAttempt(req.task, req.session.lid, answerText, result);
+    const sequence = recordProgress(req, res, attempt);
+    const certificate = certificateOffer(req, result);
+    emitXapi(req, attempt, result);
+    passbackScore(req, result);
+    res.json({
+      ok: true,
+      result: { schemaVersion: RESULT_SCHEMA_VERSION, ...result, revision, sequence, certificate, attemptId: attempt.id }
+    });
+  } catch (err) {
+    console.error("Marking failed:", err);
+    res.status(500).json({ ok: false, error: "marking_failed" });
+  }
+}
+
+// What the page needs to mark this task in the browser (requires session)
+function getOfflineBundle(req, res) {
+  const task = req.task;
+  const catalogue = i18n.catalogue(task.locale);
+  res.json({
+    ok: true,
+    owner: offlineOwner(req.session.lid),
+    task: {
+      id: task.id,
+      version: task.version,
+      locale: task.locale,
+      minWordsGate: task.minWordsGate,
+      maxWords: task.maxWords,
+      integrity: task.integrity,
+      templateText: task.templateText,
+      fingerprints: {
+        modelAnswer: fingerprint(task.modelAnswer),
+        learnMoreText: fingerprint(task.learnMoreText)
+      }
+    },
+    // Compiled in the browser with lib/rubric.js, as lib/tasks.js compiles it here
+    rubric: task.source.rubric,
+    rubricDefaults: catalogue.rubric,
+    messages: { server: catalogue.server }
+  });
+}
+
+// Saves attempts the page marked offline, marking each again (requires session)
+async function postAttemptSync(req, res) {
+  const list = Array.isArray(req.body?.attempts) ? req.body.attempts.slice(0, SYNC_MAX_ATTEMPTS) : [];
+  const owner = offlineOwner(req.session.lid);
+  const results = [];
+  try {
+    for (const entry of list) {
+      const clientId = clampStr(entry?.clientId || "", 36);
+      if (!CLIENT_ID_RE.test(clientId) || entry.owner !== owner) {
+        results.push({ clientId, status: "rejected" });
+        continue;
+      }
+      const [saved] = attempts.find(a => a.clientId === clientId && a.learnerId === req.session.lid);
+      if (saved) {
+        results.push({ clientId, status: "saved", attemptId: saved.id, gated: saved.gated, score: saved.score });
+        continue;
+      }
+
+      // Each one marked counts as a marking request; the rest stay queued on the page for the next sync
+      if (!markIpLimiter.hit(`ip:${req.ip}`).allowed || !markSessionLimiter.hit(`lid:${req.session.lid}`).allowed) break;
+
+      const answerText = clampStr(entry.answerText || "", 6000);
+      const result = await markAnswer(req.task, answerText);
+      const attempt = saveAttempt(req.task, req.session.lid, answerText, result, {
+        offline: true,
+        clientId,
+        offlineMarkedAt: offlineMarkedAt(entry.markedAt)
+      });
+      recordProgress(req, res, attempt);
+      emitXapi(req, attempt, result);
+      passbackScore(req, result);
+      results.push({ clientId, status: "saved", attemptId: attempt.id, gated: result.gated, score: result.score });
+    }
+    res.json({ ok: true, results, sequence: sequenceState(req, req.session) });
+  } catch (err) {
+    console.error("Offline sync failed:", err);
+    res.status(500).json({ ok: false, error: "sync_failed" });
+  }
+}
+
+// Runs the learner's prompt and the task's weak prompt side by side (requires session).
+// Nothing is saved: it's a way to see the difference, not an attempt.
+async function postPreview(req, res) {
+  if (!previewEnabled(req.task)) return res.status(404).json({ ok: false, error: "preview_unavailable" });
+
   const answerText = clampStr(req.body?.answerText || req.body?.answer || "", 6000);
-  const result = markPromptingResponse(answerText);
-  res.json({ ok: true, result });
+  if (wordCount(answerText) < req.task.minWordsGate) {
+    return res.status(400).json({ ok: false, error: "too_short", minWords: req.task.minWordsGate });
+  }
+  try {
+    const result = await preview.run(req.task, answerText, i18n.catalogue(req.locale).preview);
+    res.json({ ok: true, preview: result });
+  } catch (err) {
+    console.error(`Preview failed (${preview.name}):`, err?.message || err);
+    res.status(502).json({ ok: false, error: "preview_failed" });
+  }
+}
+
+// Issues the completion certificate for one of the learner's full-marks attempts (requires session)
+function postCertificate(req, res) {
+  const attempt = attempts.get(String(req.body?.attemptId || ""));
+  const own = attempt && attempt.taskId === req.task.id && attempt.learnerId === req.session.lid;
+  if (!own || !isFullMarks(attempt, req.task.rubric.maxScore)) {
+    return res.status(403).json({ ok: false, error: "not_eligible" });
+  }
+
+  const learnerName = normaliseLearnerName(req.body?.name);
+  if (!learnerName) return res.status(400).json({ ok: false, error: "invalid_name" });
+
+  const doc = certificates.issue({ task: req.task, attempt, learnerName });
+  res.json({ ok: true, certificate: certificateLinks(req, doc) });
+}
+
+// The learner's own attempts on this task, oldest first (requires session)
+function getAttempts(req, res) {
+  const list = attempts
+    .find(a => a.taskId === req.task.id && a.learnerId === req.session.lid)
+    .slice(-HISTORY_LIMIT)
+    .map(a => attemptSummary(a, req.task));
+  res.json({ ok: true, attempts: list });
+}
+
+/* ---------------- Session handlers ---------------- */
+
+// Is the learner signed in to this task, and for how long? (never 401s)
+function getSession(req, res) {
+  res.json({ ok: true, sessionMinutes: SESSION_MINUTES, ...sessionStatus(readSession(req), req.task.id) });
+}
+
+// Explicit keep-alive while the learner is working (requires session)
+function postSessionRefresh(req, res) {
+  const session = writeSessionCookie(res, req.session);
+  res.json({ ok: true, sessionMinutes: SESSION_MINUTES, ...sessionStatus(session, req.task.id) });
+}
+
+// Ends the session and forgets the learner id on this browser (shared computers)
+function postLogout(req, res) {
+  clearSessionCookies(res);
+  res.json({ ok: true });
+}
+
+/* ---------------- Certificate verification (public) ---------------- */
+// Anyone holding a verification id may check it; nothing beyond what the certificate states is shown
+
+function getVerifyApi(req, res) {
+  const result = certificates.verify(req.params.certificateId);
+  if (!result) return res.status(404).json({ ok: false, error: "not_found" });
+  res.json({ ok: true, valid: result.valid, certificate: result.valid ? result.certificate : null });
+}
+
+function getVerifyPage(req, res) {
+  const id = String(req.params.certificateId);
+  const result = certificates.verify(id);
+  const locale = negotiateLocale(req, i18n.locales, result?.certificate.locale || DEFAULT_LOCALE);
+  res.vary("Accept-Language");
+  res.status(result ? 200 : 404).type("html").send(verifyPage(id, result, i18n.catalogue(locale).certificate, {
+    locale,
+    certificateUrl: `/certificates/${encodeURIComponent(id)}`
+  }));
+}
+
+// Print-ready HTML in the language it was issued in; ?download=1 saves it as a file
+function getCertificatePage(req, res) {
+  const id = String(req.params.certificateId);
+  const result = certificates.verify(id);
+  if (!result?.valid) return res.redirect(`/verify/${encodeURIComponent(id)}`);
+
+  const cert = result.certificate;
+  const standalone = Boolean(req.query.download);
+  if (standalone) res.attachment(`certificate-${cert.id}.html`);
+  res.type("html").send(certificatePage(cert, i18n.catalogue(cert.locale).certificate, {
+    verifyUrl: `${requestOrigin(req)}/verify/${cert.id}`,
+    standalone
+  }));
+}
+
+/* ---------------- LTI handlers ---------------- */
+// One cookie per login so parallel launches (two tabs) don't clobber each other.
+// The platform posts the launch back cross-site, hence SameSite=None.
+const LTI_STATE_COOKIE_PREFIX = "fethink_lti_state_";
+const LTI_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "none",
+  partitioned: true,
+  signed: true
+};
+const LTI_STATE_MINUTES = 10;
+
+function requireLti(req, res, next) {
+  if (!lti) return res.status(404).json({ ok: false, error: "lti_disabled" });
+  next();
+}
+
+function getLtiJwks(req, res) {
+  res.json(lti.jwks);
+}
+
+// OIDC login initiation (platforms may use GET or POST)
+function ltiLogin(req, res) {
+  try {
+    const { redirectUrl, state } = lti.loginRedirect({ ...req.query, ...req.body }, `${requestOrigin(req)}/lti/launch`);
+    res.cookie(`${LTI_STATE_COOKIE_PREFIX}${state.state}`, JSON.stringify(state), {
+      ...LTI_STATE_COOKIE_OPTIONS,
+      maxAge: LTI_STATE_MINUTES * 60 * 1000
+    });
+    res.redirect(302, redirectUrl);
+  } catch (err) {
+    res.status(400).type("text").send(`LTI login failed: ${err.message}`);
+  }
+}
+
+// Task for a resource link: custom parameter "task", else ?task= on the target link, else the default
+function ltiTask(claims) {
+  const custom = claims[CLAIMS.custom]?.task;
+  if (custom) return getTask(String(custom));
+  try {
+    return getTask(new URL(claims[CLAIMS.targetLinkUri]).searchParams.get("task"));
+  } catch {
+    return getTask(null);
+  }
+}
+
+async function postLtiLaunch(req, res) {
+  const stateParam = String(req.body?.state || "");
+  let saved = null;
+  if (/^[0-9a-f]{48}$/.test(stateParam)) {
+    const cookieName = `${LTI_STATE_COOKIE_PREFIX}${stateParam}`;
+    try {
+      saved = JSON.parse(req.signedCookies?.[cookieName] || "null");
+    } catch {
+      saved = null;
+    }
+    res.clearCookie(cookieName, LTI_STATE_COOKIE_OPTIONS);
+  }
+
+  let platform, claims;
+  try {
+    ({ platform, claims } = await lti.validateLaunch(String(req.body?.id_token || ""), stateParam, saved));
+  } catch (err) {
+    return res.status(401).type("text").send(`LTI launch failed: ${err.message}`);
+  }
+
+  const messageType = claims[CLAIMS.messageType];
+  if (messageType === "LtiDeepLinkingRequest") return sendDeepLinkPage(req, res, platform, claims);
+  if (messageType !== "LtiResourceLinkRequest") {
+    return res.status(400).type("text").send(`LTI launch failed: unsupported message type ${messageType}`);
+  }
+
+  const task = ltiTask(claims);
+  if (!task) return res.status(404).type("text").send("LTI launch failed: unknown task");
+
+  const ags = claims[CLAIMS.ags];
+  const record = {
+    issuer: platform.issuer,
+    clientId: platform.clientId,
+    deploymentId: String(claims[CLAIMS.deploymentId]),
+    sub: String(claims.sub),
+    name: String(claims.name || ""),
+    email: String(claims.email || "").toLowerCase(),
+    taskId: task.id,
+    contextId: String(claims[CLAIMS.context]?.id || ""),
+    resourceLinkId: String(claims[CLAIMS.resourceLink]?.id || ""),
+    ags: ags ? { lineitem: String(ags.lineitem || ""), scope: Array.isArray(ags.scope) ? ags.scope : [] } : null,
+    launchedAt: new Date().toISOString()
+  };
+
+  // One record per learner and resource link; relaunches refresh it (the line item can change)
+  const existing = ltiLaunches.find(l =>
+    l.issuer === record.issuer && l.sub === record.sub && l.resourceLinkId === record.resourceLinkId)[0];
+  const launch = existing ? ltiLaunches.update(existing.id, record) : ltiLaunches.insert(record);
+
+  const learnerId = ltiLearnerId(platform.issuer, record.sub);
+  const previous = lockedBehind(task, learnerId);
+  if (previous) {
+    return res.status(403).type("text").send(`LTI launch refused: "${previous.title}" comes first and isn't mastered yet`);
+  }
+  setSessionCookie(req, res, task.id, { learnerId, ltiLaunchId: launch.id });
+  res.redirect(303, `/?task=${encodeURIComponent(task.id)}`);
+}
+
+// Deep linking: the instructor picks a task; each choice is its own pre-signed response
+function sendDeepLinkPage(req, res, platform, claims) {
+  const settings = claims[CLAIMS.deepLinkingSettings];
+  if (!settings?.deep_link_return_url) {
+    return res.status(400).type("text").send("LTI deep linking failed: no return URL");
+  }
+  if (Array.isArray(settings.accept_types) && !settings.accept_types.includes("ltiResourceLink")) {
+    return res.status(400).type("text").send("LTI deep linking failed: platform does not accept resource links");
+  }
+
+  const items = [...TASKS.values()].map(task => ({
+    title: task.title,
+    jwt: lti.deepLinkResponse(platform, claims, [{
+      type: "ltiResourceLink",
+      title: task.title,
+      url: `${requestOrigin(req)}/lti/launch?task=${encodeURIComponent(task.id)}`,
+      custom: { task: task.id },
+      lineItem: { scoreMaximum: task.rubric.maxScore, label: task.title, resourceId: task.id }
+    }])
+  }));
+
+  // The page is shown inside the LMS and its forms post back to it
+  const platformOrigin = new URL(settings.deep_link_return_url).origin;
+  res.set("Content-Security-Policy", contentSecurityPolicy(`'self' ${platformOrigin}`, `'self' ${platformOrigin}`));
+  res.removeHeader("X-Frame-Options");
+  res.type("html").send(deepLinkPage(settings.deep_link_return_url, items));
+}
+
+/* ---------------- Admin handlers ---------------- */
+function postAdminLogin(req, res) {
+  if (!ADMIN_PASSWORD) return res.status(404).json({ ok: false, error: "admin_disabled" });
+  const password = clampStr(req.body?.password || "", 200);
+  if (!password || !safeEqual(password, ADMIN_PASSWORD)) {
+    req.guess.failed();
+    return res.status(401).json({ ok: false, error: "invalid_password" });
+  }
+  req.guess.succeeded();
+  setAdminCookie(res);
+  res.json({ ok: true });
+}
+
+function postAdminLogout(req, res) {
+  res.clearCookie(ADMIN_COOKIE_NAME, { httpOnly: true, secure: true, sameSite: "strict", signed: true });
+  res.json({ ok: true });
+}
+
+function maxScoreFor(taskId) {
+  return TASKS.get(taskId)?.rubric.maxScore ?? 10;
+}
+
+function getAdminStats(req, res) {
+  const list = attempts.find(attemptFilter(req.query));
+  const tasks = [...TASKS.values()].map(t => ({ id: t.id, title: t.title, locales: taskLocales(t) }));
+  res.json({ ok: true, tasks, stats: cohortStats(list, maxScoreFor) });
+}
+
+const ADMIN_PAGE_SIZE = 50;
+
+function getAdminCodes(req, res) {
+  const list = codes.list({ q: req.query.q || "", taskId: req.query.taskId || "" }).slice(0, 200);
+  res.json({ ok: true, codes: list });
+}
+
+function postAdminCode(req, res) {
+  const task = getTask(String(req.body?.taskId || ""));
+  if (!task) return res.status(400).json({ ok: false, error: "unknown_task" });
+
+  const days = parseInt(req.body?.expiresDays ?? "", 10);
+  const uses = parseInt(req.body?.maxUses ?? "", 10);
+  const doc = codes.issue({
+    taskId: task.id,
+    email: clampStr(req.body?.email || "", 200),
+    name: clampStr(req.body?.name || "", 200),
+    source: "admin",
+    days: Number.isFinite(days) ? days : undefined,
+    uses: Number.isFinite(uses) ? uses : undefined
+  });
+  res.json({ ok: true, code: doc });
+}
+
+function postAdminRevokeCode(req, res) {
+  const doc = codes.revoke(req.params.codeId);
+  if (!doc) return res.status(404).json({ ok: false, error: "unknown_code" });
+  res.json({ ok: true, code: doc });
+}
+
+// Newest first, paginated
+function getAdminAttempts(req, res) {
+  const list = attempts.find(attemptFilter(req.query)).reverse();
+  const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+  const rows = list.slice((page - 1) * ADMIN_PAGE_SIZE, page * ADMIN_PAGE_SIZE);
+  res.json({ ok: true, total: list.length, page, pageSize: ADMIN_PAGE_SIZE, attempts: rows });
+}
+
+function getAdminAttemptsCsv(req, res) {
+  const list = attempts.find(attemptFilter(req.query));
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="attempts-${stamp}.csv"`);
+  res.send("\uFEFF" + attemptsCsv(list));
+}
+
+/* ---------------- Task authoring ----------------
+   The authoring page (admin-tasks.html) edits a task's JSON as written.
+   /check compiles a draft and marks its model answer and sample answers
+   without saving anything; publishing compiles it the same way, records
+   a new version and swaps it in for new requests. Attempts already
+   stored keep the version they were marked with.
+   ------------------------------------------------ */
+const MAX_SAMPLE_CHARS = 6000;
+
+function adminTaskSummary(t) {
+  return { id: t.id, title: t.title, version: t.version, locales: taskLocales(t) };
+}
+
+// The draft compiled, or a 400 with what's wrong with it
+function compileDraft(req, res, version) {
+  try {
+    return compileTask(TASKS_DIR, req.body?.task, i18n, version);
+  } catch (err) {
+    res.status(400).json({ ok: false, error: "invalid_task", message: err.message });
+    return null;
+  }
+}
+
+function getAdminTasks(req, res) {
+  res.json({ ok: true, tasks: [...TASKS.values()].map(adminTaskSummary) });
+}
+
+// The task's JSON as the editor loads it, with its version history (newest first)
+function getAdminTask(req, res) {
+  const task = TASKS.get(req.params.taskId);
+  if (!task) return res.status(404).json({ ok: false, error: "unknown_task" });
+  const versions = taskVersions.list(task.id);
+  res.json({
+    ok: true,
+    task: task.source,
+    version: task.version,
+    // A task never published from here has only its file
+    versions: versions.length ? versions : [{ taskId: task.id, version: task.version, source: "file", note: "", publishedAt: null }]
+  });
+}
+
+function getAdminTaskVersion(req, res) {
+  const task = TASKS.get(req.params.taskId);
+  const version = parseInt(req.params.version, 10);
+  const doc = task && taskVersions.get(task.id, version);
+  if (doc) return res.json({ ok: true, version: doc });
+  if (task && !taskVersions.list(task.id).length && version === task.version) {
+    return res.json({ ok: true, version: { taskId: task.id, version, source: "file", note: "", publishedAt: null, task: task.source } });
+  }
+  res.status(404).json({ ok: false, error: "unknown_version" });
+}
+
+// Live preview: { task, answers: [text], locale } -> what the marker makes of them
+function postAdminTaskCheck(req, res) {
+  const task = compileDraft(req, res);
+  if (!task) return;
+  const answers = (Array.isArray(req.body?.answers) ? req.body.answers : []).map(a => clampStr(a, MAX_SAMPLE_CHARS));
+  res.json({ ok: true, ...checkDraft(task, { answers, locale: String(req.body?.locale || "") }, i18n) });
+}
+
+// { task, note, baseVersion }: baseVersion is the version the editor started from (0 for a
+// new task), so two authors editing at once, or a new task reusing an id, can't silently
+// replace someone else's work
+function postAdminTask(req, res) {
+  const current = TASKS.get(String(req.body?.task?.id || "")) || null;
+  const baseVersion = Number.isInteger(req.body?.baseVersion) ? req.body.baseVersion : 0;
+  if ((current?.version || 0) !== baseVersion) {
+    return res.status(409).json({ ok: false, error: "version_conflict", version: current?.version || 0 });
+  }
+
+  const task = compileDraft(req, res, (current?.version || 0) + 1);
+  if (!task) return;
+  // A task in a sequence must still be able to reach the sequence's mastery score
+  try {
+    loadSequences(TASKS_DIR, new Map([...TASKS, [task.id, task]]));
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: "invalid_task", message: err.message });
+  }
+
+  if (current && !taskVersions.list(current.id).length) {
+    taskVersions.record(current.id, current.source, { version: current.version, source: "file" });
+  }
+  taskVersions.record(task.id, req.body.task, {
+    version: task.version,
+    source: "author",
+    note: clampStr(req.body?.note || "", 500)
+  });
+  applyLegacyEnv(task);
+  TASKS.set(task.id, task);
+
+  res.json({ ok: true, created: !current, task: adminTaskSummary(task), versions: taskVersions.list(task.id) });
+}
+
+/* ---------------- Batch marking ----------------
+   POST a CSV (text/csv) or JSON array (application/json) of answers to
+   /api/admin/tasks/:taskId/batches (?lang= picks a translation, ?file=
+   names the upload); see lib/batch.js for the columns. Every answer goes
+   through the deterministic marker and the rows are kept, so the results
+   can be paged and downloaded as CSV.
+   ------------------------------------------------ */
+const BATCH_ERROR_STATUS = { too_large: 413, too_many_rows: 413 };
+
+async function postAdminBatch(req, res) {
+  const kind = req.is("text/csv", "application/csv") ? "csv" : req.is("application/json") ? "json" : null;
+  if (!kind) return res.status(415).json({ ok: false, error: "unsupported_type" });
+
+  const rows = [];
+  try {
+    const upload = readBatch(req, kind, { maxBytes: BATCH_MAX_MB * 1024 * 1024, maxRows: BATCH_MAX_ROWS });
+    for await (const entry of upload) {
+      const answerText = clampStr(entry.answerText, 6000);
+      rows.push(batchRow({ ...entry, ref: clampStr(entry.ref, 200), answerText },
+        markPromptingResponse(req.task, answerText, i18n)));
+    }
+  } catch (err) {
+    if (!(err instanceof BatchError)) {
+      console.error("Batch marking failed:", err);
+      return res.status(500).json({ ok: false, error: "marking_failed" });
+    }
+    // The rest of the upload is not read; don't leave the connection half-used
+    res.set("Connection", "close");
+    return res.status(BATCH_ERROR_STATUS[err.code] || 400).json({ ok: false, error: err.code, message: err.message });
+  }
+  if (!rows.length) return res.status(400).json({ ok: false, error: "no_rows" });
+
+  const batch = batches.insert({
+    taskId: req.task.id,
+    taskVersion: req.task.version,
+    locale: req.task.locale,
+    fileName: clampStr(req.query.file || "", 200),
+    createdAt: new Date().toISOString(),
+    summary: batchSummary(rows)
+  });
+  for (const r of rows) batchResults.insert({ batchId: batch.id, ...r });
+
+  res.json({ ok: true, batch, rows: rows.slice(0, ADMIN_PAGE_SIZE), csvUrl: `/api/admin/batches/${batch.id}/results.csv` });
+}
+
+// Newest first, summaries only
+function getAdminBatches(req, res) {
+  res.json({ ok: true, batches: batches.find().reverse().slice(0, 50) });
+}
+
+function getAdminBatch(req, res) {
+  const batch = batches.get(req.params.batchId);
+  if (!batch) return res.status(404).json({ ok: false, error: "unknown_batch" });
+  const rows = batchResults.find(r => r.batchId === batch.id);
+  const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+  res.json({
+    ok: true,
+    batch,
+    total: rows.length,
+    page,
+    pageSize: ADMIN_PAGE_SIZE,
+    rows: rows.slice((page - 1) * ADMIN_PAGE_SIZE, page * ADMIN_PAGE_SIZE)
+  });
+}
+
+function getAdminBatchCsv(req, res) {
+  const batch = batches.get(req.params.batchId);
+  if (!batch) return res.status(404).json({ ok: false, error: "unknown_batch" });
+  const task = getTask(batch.taskId);
+  const criteria = task ? localiseTask(task, batch.locale).rubric.criteria : [];
+
+  const rows = batchResults.find(r => r.batchId === batch.id);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="batch-${batch.taskId}-${batch.createdAt.slice(0, 10)}.csv"`);
+  res.send("\uFEFF" + toCsv(rows, batchCsvColumns(criteria)));
+}
+
+/* ---------------- Payhip webhook ---------------- */
+// Sale items -> tasks via each task's "payhipProducts". With a single-product
+// setup (no task lists any products) every sale unlocks the default task.
+function tasksForPayhipItem(item) {
+  const keys = [item?.product_key, item?.product_id, item?.product_permalink].filter(Boolean).map(String);
+  const all = [...TASKS.values()];
+  if (!all.some(t => t.payhipProducts.length)) return [DEFAULT_TASK_ID];
+  return all.filter(t => t.payhipProducts.some(p => keys.includes(p))).map(t => t.id);
+}
+
+function postPayhipWebhook(req, res) {
+  if (!PAYHIP_API_KEY) return res.status(404).json({ ok: false, error: "webhook_disabled" });
+  if (!verifyPayhipSignature(req.body, PAYHIP_API_KEY)) {
+    return res.status(401).json({ ok: false, error: "bad_signature" });
+  }
+
+  const outcome = handlePayhipEvent(req.body, codes, tasksForPayhipItem);
+  console.log(`Payhip ${req.body?.type} ${req.body?.id}: ${JSON.stringify(outcome)}`);
+  res.json({ ok: true, ...outcome });
+}
+
+/* ---------------- Routes ---------------- */
+
+// Task list (public metadata only — never access codes or answers)
+app.get("/api/tasks", (req, res) => {
+  const tasks = [...TASKS.values()].map(t => ({ id: t.id, title: t.title }));
+  res.json({ ok: true, defaultTaskId: DEFAULT_TASK_ID, tasks });
 });
 
+app.get("/api/tasks/:taskId/config", loadTask, getConfig);
+app.post("/api/tasks/:taskId/unlock", loadTask, requireCsrf, limitGuesses("unlock"), postUnlock);
+app.post("/api/tasks/:taskId/mark", loadTask, requireSession, requireCsrf, limitMarking, postMark);
+app.post("/api/tasks/:taskId/preview", loadTask, requireSession, requireCsrf, limitPreview, postPreview);
+app.post("/api/tasks/:taskId/certificates", loadTask, requireSession, requireCsrf, postCertificate);
+app.get("/api/tasks/:taskId/attempts", loadTask, requireSession, getAttempts);
+app.get("/api/tasks/:taskId/offline", loadTask, requireSession, getOfflineBundle);
+app.post("/api/tasks/:taskId/attempts/sync", loadTask, requireSession, requireCsrf, postAttemptSync);
+app.get("/api/tasks/:taskId/session", loadTask, getSession);
+app.post("/api/tasks/:taskId/session/refresh", loadTask, requireSession, requireCsrf, postSessionRefresh);
+app.post("/api/logout", requireCsrf, postLogout);
+
+// Certificates (public: the verification id is the key)
+app.get("/api/verify/:certificateId", getVerifyApi);
+app.get("/verify/:certificateId", getVerifyPage);
+app.get("/certificates/:certificateId", getCertificatePage);
+
+// Instructor dashboard (public/admin.html)
+app.post("/api/admin/login", limitGuesses("admin"), postAdminLogin);
+app.post("/api/admin/logout", postAdminLogout);
+app.get("/api/admin/stats", requireAdmin, getAdminStats);
+app.get("/api/admin/attempts", requireAdmin, getAdminAttempts);
+app.get("/api/admin/attempts.csv", requireAdmin, getAdminAttemptsCsv);
+app.get("/api/admin/codes", requireAdmin, getAdminCodes);
+app.post("/api/admin/codes", requireAdmin, postAdminCode);
+app.post("/api/admin/codes/:codeId/revoke", requireAdmin, postAdminRevokeCode);
+app.post("/api/admin/tasks/:taskId/batches", requireAdmin, loadTask, postAdminBatch);
+app.get("/api/admin/batches", requireAdmin, getAdminBatches);
+app.get("/api/admin/tasks", requireAdmin, getAdminTasks);
+app.post("/api/admin/tasks", requireAdmin, postAdminTask);
+app.post("/api/admin/tasks/check", requireAdmin, postAdminTaskCheck);
+app.get("/api/admin/tasks/:taskId", requireAdmin, getAdminTask);
+app.get("/api/admin/tasks/:taskId/versions/:version", requireAdmin, getAdminTaskVersion);
+app.get("/api/admin/batches/:batchId", requireAdmin, getAdminBatch);
+app.get("/api/admin/batches/:batchId/results.csv", requireAdmin, getAdminBatchCsv);
+
+// Payhip sale events (JSON or form-encoded)
+app.post("/api/webhooks/payhip", express.urlencoded({ extended: true }), postPayhipWebhook);
+
+// LTI 1.3 (register /lti/login, /lti/launch and /lti/jwks with the platform)
+const ltiForm = express.urlencoded({ extended: false });
+app.get("/lti/jwks", requireLti, getLtiJwks);
+app.get("/lti/login", requireLti, ltiLogin);
+app.post("/lti/login", requireLti, ltiForm, ltiLogin);
+app.post("/lti/launch", requireLti, ltiForm, postLtiLaunch);
+
+// Legacy single-task routes -> default task
+app.get("/api/config", loadTask, getConfig);
+app.post("/api/unlock", loadTask, requireCsrf, limitGuesses("unlock"), postUnlock);
+app.post("/api/mark", loadTask, requireSession, requireCsrf, limitMarking, postMark);
+app.get("/api/session", loadTask, getSession);
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  console.log(`FEthink automarker running on port ${PORT}`);
+  console.log(`FEthink automarker running on port ${PORT} (${TASKS.size} task(s) loaded)`);
 });
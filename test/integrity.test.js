@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadTasks, localiseTask } from "../lib/tasks.js";
+import { loadLocales, createI18n } from "../lib/i18n.js";
+import { checkIntegrity } from "../lib/integrity.js";
+import { parseCorpus } from "../lib/calibration.js";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const i18n = createI18n(loadLocales(path.join(root, "locales"), "en"), "en");
+const task = loadTasks(path.join(root, "tasks"), i18n).get("rome-prompt");
+
+const PROSE = {
+  en: [
+    "You are a travel agent. Plan me a seven day trip around Rome as I am visiting for a week in June, " +
+      "staying in a central hotel, with bullet points, costs and walking times for every stop.",
+    "Act as an expert tour guide who knows Rome well. I am a first time visitor with my family and we are " +
+      "staying near the Colosseum for a week in June. Create a day by day itinerary for us and present it as a table.",
+    "You are a local historian. Can you suggest how I should spend seven days in Rome? I am interested in " +
+      "ancient sites and food, and I am on a budget. Please give me a list for each day with prices."
+  ],
+  es: [
+    "Eres un guía turístico experto en Roma. Crea un itinerario de siete días para mí, que viajo por primera vez " +
+      "en junio y me alojo en un hotel del centro. Usa viñetas con el precio de cada visita y el tiempo a pie.",
+    "Actúa como un agente de viajes. Soy estudiante y voy a Roma una semana con dos amigos; queremos ver los " +
+      "monumentos más importantes sin gastar mucho. Haz una tabla con la mañana, la tarde y la noche de cada día."
+  ],
+  fr: [
+    "Tu es un guide touristique qui connaît bien Rome. Crée un itinéraire de sept jours pour moi, je visite la " +
+      "ville pour la première fois en juin et je loge dans un hôtel du centre. Présente-le sous forme de liste à puces.",
+    "Agis comme un agent de voyage. Nous sommes une famille avec deux enfants et nous restons une semaine à Rome " +
+      "en été. Propose un programme pour chaque jour avec les prix et les temps de trajet, dans un tableau."
+  ]
+};
+
+test("a list of rubric trigger words is a keyword list, even when they're function words", () => {
+  const answer = "you, are, as, guide, expert, create, itinerary, week, shopping, i, am, visitor, " +
+    "june, hotel, bullet, table, fees, distance, tone, friendly";
+  assert.equal(checkIntegrity(task, answer)?.flag, "keyword_list");
+});
+
+test("a run-on sentence that uses the same triggers is not", () => {
+  const answer = "You are a tour guide and I am a first time visitor to Rome staying at a hotel for a week " +
+    "in June so please create an itinerary for me with the cost of each place and the distance from the hotel";
+  assert.equal(checkIntegrity(task, answer), null);
+});
+
+for (const [locale, answers] of Object.entries(PROSE)) {
+  test(`natural prose prompts are not flagged (${locale})`, () => {
+    const localised = localiseTask(task, locale);
+    for (const answer of answers) assert.equal(checkIntegrity(localised, answer), null, answer);
+  });
+}
+
+test("template headings followed by prose are not flagged", () => {
+  for (const [locale, answers] of Object.entries(PROSE)) {
+    const localised = localiseTask(task, locale);
+    assert.equal(checkIntegrity(localised, `${localised.templateText.trim()}\n${answers[0]}`), null, locale);
+  }
+});
+
+test("synthetic corpus answers labelled full marks are not flagged", () => {
+  const file = path.join(root, "calibration", "synthetic", "rome-prompt.jsonl");
+  const full = parseCorpus(fs.readFileSync(file, "utf8"), file)
+    .filter(e => e.taskId === task.id && !e.human.gated && e.human.score === task.rubric.maxScore);
+  assert.ok(full.length > 0);
+  for (const e of full) assert.equal(checkIntegrity(localiseTask(task, e.locale || task.locale), e.answerText), null, e.id);
+});